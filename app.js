@@ -5,7 +5,7 @@
  * - Click-to-cursor + keyboard entry
  * - Chords: multiple strings per column
  * - Strum lane per column (↓ ↑ x)
- * - Notes: Off / Hover / Board (separate note board)
+ * - Notes: Off / Hover / Board (separate note board, octave-aware: E2 vs E4)
  * - Notes interpretation: Fingered / Sounding (capo-aware)
  * - Chords: Off / Hover (detected from column pitch classes)
  * - Save/Open .tabd (JSON) + Export .txt (ASCII)
@@ -13,13 +13,20 @@
 
 'use strict';
 
-const APP_VERSION = "1.4.2";
+const APP_VERSION = "1.6.0";
 const APP_THEME_DEFAULT = "slate";
-const APP_FORMAT_VERSION = 1;
+const APP_FORMAT_VERSION = 3;
+// Oldest app version that can read the current format (v3: notes stored as note objects).
+const APP_MIN_READER_VERSION = "1.6.0";
 
 // localStorage keys
 const LS_THEME = "tabd.theme";
 const LS_SEEN_CHORD_HINT = "tabd.seenChordHintV1";
+const LS_USER_TUNINGS = "tabd.userTunings";
+const LS_ASCII_EXPORT = "tabd.asciiExport";
+const LS_RETAB_MODE = "tabd.retabMode";
+const LS_USER_VOICINGS = "tabd.userVoicings";
+const LS_PLAYABILITY = "tabd.playability";
 
 // -------------------------
 // Utilities
@@ -28,7 +35,10 @@ const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
 const deepClone = (obj) => JSON.parse(JSON.stringify(obj));
 
 function downloadText(filename, text, mime = 'text/plain') {
-  const blob = new Blob([text], { type: mime });
+  downloadBlob(filename, new Blob([text], { type: mime }));
+}
+
+function downloadBlob(filename, blob) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -48,69 +58,160 @@ function readFileAsText(file) {
   });
 }
 
+function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(r.result);
+    r.onerror = () => reject(r.error || new Error('File read failed'));
+    r.readAsArrayBuffer(file);
+  });
+}
+
 // -------------------------
-// Musical mapping (Sharps only)
+// Musical mapping
 // -------------------------
+// Stored pitches (instrument.pitches, tuning library) are always spelled with sharps; flats are
+// a display choice (see noteNamesAt).
 const CHROMATIC_SHARPS = ['C','C#','D','D#','E','F','F#','G','G#','A','A#','B'];
+const CHROMATIC_FLATS = ['C','Db','D','Eb','E','F','Gb','G','Ab','A','Bb','B'];
 const NOTE_PC = {
   'C':0,'C#':1,'D':2,'D#':3,'E':4,'F':5,'F#':6,'G':7,'G#':8,'A':9,'A#':10,'B':11
 };
 
-// Standard pitch-class tuning (no octaves shown anywhere)
-// These are pitch classes only.
-const TUNINGS = {
+// Instrument registry. Tunings list strings top-to-bottom as drawn (first string first).
+// `strings` are the row labels; `pitches` are the open strings in scientific pitch
+// notation (C4 = middle C), so notes keep their octave (low E2 vs high E4).
+// Re-entrant tunings (ukulele high g, banjo drone) simply list their real pitches.
+// `frets`: playable fret count. `lowRef`: typical lowest-string pitch (MIDI), used to
+// guess octaves for documents saved before open pitches were stored. `midiProgram`:
+// General MIDI program (0-based) for .mid export.
+const INSTRUMENTS = {
   guitar: {
-    'Standard (EADGBE)': ['e','B','G','D','A','E'],
-    'Drop D (DADGBE)':   ['e','B','G','D','A','D'],
+    label: 'Guitar', frets: 24, lowRef: 40, midiProgram: 25,
+    tunings: {
+      'Standard (EADGBE)': { strings: ['e','B','G','D','A','E'], pitches: ['E4','B3','G3','D3','A2','E2'] },
+      'Drop D (DADGBE)':   { strings: ['e','B','G','D','A','D'], pitches: ['E4','B3','G3','D3','A2','D2'] },
+    },
+  },
+  guitar7: {
+    label: '7-string guitar', frets: 24, lowRef: 35, midiProgram: 29,
+    tunings: {
+      'Standard 7 (BEADGBE)': { strings: ['e','B','G','D','A','E','B'], pitches: ['E4','B3','G3','D3','A2','E2','B1'] },
+      'Drop A 7 (AEADGBE)':   { strings: ['e','B','G','D','A','E','A'], pitches: ['E4','B3','G3','D3','A2','E2','A1'] },
+    },
+  },
+  guitar8: {
+    label: '8-string guitar', frets: 24, lowRef: 30, midiProgram: 29,
+    tunings: {
+      'Standard 8 (F#BEADGBE)': { strings: ['e','B','G','D','A','E','B','F#'], pitches: ['E4','B3','G3','D3','A2','E2','B1','F#1'] },
+      'Drop E 8 (EBEADGBE)':    { strings: ['e','B','G','D','A','E','B','E'],  pitches: ['E4','B3','G3','D3','A2','E2','B1','E1'] },
+    },
   },
   bass: {
-    'Standard 4 (EADG)': ['G','D','A','E'],
-    'Standard 5 (BEADG)': ['G','D','A','E','B'],
-    'Drop D 4 (DADG)':   ['G','D','A','D'],
-  }
+    label: 'Bass', frets: 24, lowRef: 28, midiProgram: 33,
+    tunings: {
+      'Standard 4 (EADG)': { strings: ['G','D','A','E'],     pitches: ['G2','D2','A1','E1'] },
+      'Standard 5 (BEADG)': { strings: ['G','D','A','E','B'], pitches: ['G2','D2','A1','E1','B0'] },
+      'Drop D 4 (DADG)':   { strings: ['G','D','A','D'],     pitches: ['G2','D2','A1','D1'] },
+    },
+  },
+  bass6: {
+    label: '6-string bass', frets: 24, lowRef: 23, midiProgram: 33,
+    tunings: {
+      'Standard 6 (BEADGC)': { strings: ['C','G','D','A','E','B'], pitches: ['C3','G2','D2','A1','E1','B0'] },
+    },
+  },
+  ukulele: {
+    label: 'Ukulele', frets: 18, lowRef: 67, midiProgram: 24,
+    tunings: {
+      'Standard (gCEA, high G)': { strings: ['A','E','C','G'], pitches: ['A4','E4','C4','G4'] },
+      'Low G (GCEA)':            { strings: ['A','E','C','G'], pitches: ['A4','E4','C4','G3'] },
+      'Baritone (DGBE)':         { strings: ['E','B','G','D'], pitches: ['E4','B3','G3','D3'] },
+    },
+  },
+  mandolin: {
+    label: 'Mandolin', frets: 20, lowRef: 55, midiProgram: 25,
+    tunings: {
+      'Standard (GDAE)': { strings: ['E','A','D','G'], pitches: ['E5','A4','D4','G3'] },
+    },
+  },
+  banjo: {
+    label: 'Banjo (5-string)', frets: 22, lowRef: 50, midiProgram: 105,
+    tunings: {
+      'Open G (gDGBD)':   { strings: ['D','B','G','D','g'], pitches: ['D4','B3','G3','D3','G4'] },
+      'Double C (gCGCD)': { strings: ['D','C','G','C','g'], pitches: ['D4','C4','G3','C3','G4'] },
+    },
+  },
 };
 
-// Map string labels to their open-string pitch class
-// guitar: E2 A2 D3 G3 B3 E4 -> E A D G B E
-// bass 4: E1 A1 D2 G2 -> E A D G
-const OPEN_PC = {
-  'E': NOTE_PC['E'],
-  'A': NOTE_PC['A'],
-  'D': NOTE_PC['D'],
-  'G': NOTE_PC['G'],
-  'B': NOTE_PC['B'],
-  'e': NOTE_PC['E'], // high e uses same pitch class
-};
+function instrumentDef(type) {
+  return INSTRUMENTS[type] || INSTRUMENTS.guitar;
+}
 
-function tokenToFrets(token) {
-  // Extract all digit runs; validate remaining chars against allowed ops/suffixes.
-  const tok = String(token || '').trim();
-  if (!tok) return { frets: [], ok: false };
+function pitchToMidi(pitch) {
+  // 'E2' -> 40, 'C#4' -> 61, 'Bb1' -> 34. Returns null if unparseable.
+  const m = /^([A-Ga-g])([#b]?)(-?\d+)$/.exec(String(pitch || '').trim());
+  if (!m) return null;
+  let pc = NOTE_PC[m[1].toUpperCase()];
+  if (m[2] === '#') pc += 1;
+  if (m[2] === 'b') pc -= 1;
+  return (parseInt(m[3], 10) + 1) * 12 + pc;
+}
 
-  const frets = (tok.match(/\d+/g) || []).map(s => parseInt(s, 10));
-  const remaining = tok.replace(/\d+/g, '');
+function midiToPitch(midi, names = CHROMATIC_SHARPS) {
+  const pc = ((midi % 12) + 12) % 12;
+  return names[pc] + (Math.floor(midi / 12) - 1);
+}
 
-  const OPS = new Set(['h','p','/','\\','b']);
-  const SUF = new Set(['~','.','^']);
+function guessPitchesForLabels(labels, type) {
+  // Build ascending octaves from the bottom string up: the bottom string lands
+  // nearest the instrument's reference pitch, each higher string is the next
+  // occurrence of its pitch class above the string below it.
+  const ref = instrumentDef(type).lowRef;
+  const out = new Array(labels.length);
+  let prev = null;
+  for (let i = labels.length - 1; i >= 0; i--) {
+    const pc = NOTE_PC[String(labels[i] || '').toUpperCase()];
+    if (pc == null) return null;
+    let midi;
+    if (prev == null) {
+      midi = ref - 6 + ((pc - (ref - 6)) % 12 + 12) % 12;
+    } else {
+      midi = prev + 1 + ((pc - (prev + 1)) % 12 + 12) % 12;
+    }
+    out[i] = midiToPitch(midi);
+    prev = midi;
+  }
+  return out;
+}
 
-  for (const ch of remaining) {
-    if (OPS.has(ch) || SUF.has(ch) || ch === '(' || ch === ')') continue;
-    // Allow single space (some users might input 'h ')
-    if (ch === ' ') continue;
-    return { frets, ok: false };
+function ensureInstrumentPitches(d) {
+  // Older documents only stored string labels; fill in octave-qualified open pitches.
+  const inst = d.instrument;
+  if (Array.isArray(inst.pitches) && inst.pitches.length === inst.strings.length &&
+      inst.pitches.every(p => pitchToMidi(p) != null)) return;
+  const known = instrumentDef(inst.type).tunings[inst.tuningName];
+  if (known && known.strings.join() === inst.strings.join()) {
+    inst.pitches = [...known.pitches];
+    return;
   }
+  inst.pitches = guessPitchesForLabels(inst.strings, inst.type) || inst.strings.map(() => 'E2');
+}
 
-  return { frets, ok: frets.length > 0 };
+function fretToMidi(openMidi, fret, capo, interpretMode) {
+  // interpretMode: 'fingered'|'sounding'|'degrees' (degrees are of the sounding notes)
+  let midi = openMidi + fret;
+  if (interpretMode === 'sounding' || interpretMode === 'degrees') midi += capo;
+  return midi;
 }
 
-function fretToNoteName(openPc, fret, capo, interpretMode) {
-  // interpretMode: 'fingered'|'sounding'
-  let pc = (openPc + fret) % 12;
-  if (interpretMode === 'sounding') pc = (pc + capo) % 12;
-  return CHROMATIC_SHARPS[pc];
+function fretToNoteName(openMidi, fret, capo, interpretMode, names = CHROMATIC_SHARPS) {
+  return midiToPitch(fretToMidi(openMidi, fret, capo, interpretMode), names);
 }
 
-// Patterns by intervals from root (pitch classes)
+// Patterns by intervals from root (pitch classes). `opt` intervals may be left out of a voicing
+// (guitar shapes routinely drop the 5th, and the 9th/11th under a 13th) without counting as
+// wrong notes. Earlier patterns win exact ties, so plainer names come first.
 // Goal: cover common guitar realities without becoming a full theory engine.
 const CHORD_PATTERNS = [
   // Dyads / shells
@@ -124,111 +225,692 @@ const CHORD_PATTERNS = [
   { name:'dim',   ints:[0,3,6] },
   { name:'aug',   ints:[0,4,8] },
   // Sevenths
-  { name:'7',     ints:[0,4,7,10] },
-  { name:'maj7',  ints:[0,4,7,11] },
-  { name:'m7',    ints:[0,3,7,10] },
+  { name:'7',     ints:[0,4,10],   opt:[7] },
+  { name:'maj7',  ints:[0,4,11],   opt:[7] },
+  { name:'m7',    ints:[0,3,10],   opt:[7] },
   { name:'m7b5',  ints:[0,3,6,10] },
-  // Common adds / sixes (keep minimal)
+  { name:'dim7',  ints:[0,3,6,9] },
+  { name:'mMaj7', ints:[0,3,7,11] },
+  { name:'7sus4', ints:[0,5,7,10] },
+  // Sixes and adds
   { name:'6',     ints:[0,4,7,9] },
   { name:'m6',    ints:[0,3,7,9] },
+  { name:'6/9',   ints:[0,2,4,9],  opt:[7] },
+  { name:'m6/9',  ints:[0,2,3,9],  opt:[7] },
   { name:'add9',  ints:[0,2,4,7] },
   { name:'madd9', ints:[0,2,3,7] },
+  { name:'add11', ints:[0,4,5,7] },
+  { name:'madd11',ints:[0,3,5,7] },
+  // Extensions
+  { name:'9',     ints:[0,2,4,10], opt:[7] },
+  { name:'maj9',  ints:[0,2,4,11], opt:[7] },
+  { name:'m9',    ints:[0,2,3,10], opt:[7] },
+  { name:'11',    ints:[0,5,10],   opt:[2,7] },        // the 3rd clashes with the 11th, so usually absent
+  { name:'m11',   ints:[0,3,5,10], opt:[2,7] },
+  { name:'13',    ints:[0,4,9,10], opt:[2,7] },
+  { name:'maj13', ints:[0,4,9,11], opt:[2,7] },
+  { name:'m13',   ints:[0,3,9,10], opt:[2,5,7] },
+  // Altered dominants
+  { name:'7b5',   ints:[0,4,6,10] },
+  { name:'7#5',   ints:[0,4,8,10] },
+  { name:'7b9',   ints:[0,1,4,10], opt:[7] },
+  { name:'7#9',   ints:[0,3,4,10], opt:[7] },
+  { name:'7#11',  ints:[0,4,6,10], opt:[2,7] },
 ];
 
-function detectChord(pitchClasses, pcCounts = null) {
+// Degree names for intervals above the root; a chord's own name decides the spelling
+// of intervals that read two ways (b3 or #9, 4 or 11, b5 or #11, #5 or b13, 6 or 13).
+function chordDegree(interval, quality) {
+  const q = quality || '';
+  switch (interval) {
+    case 0: return '1';
+    case 1: return 'b9';
+    case 2: return /sus2/.test(q) ? '2' : '9';
+    case 3: return /#9/.test(q) ? '#9' : 'b3';
+    case 4: return '3';
+    case 5: return /11/.test(q) ? '11' : '4';
+    case 6: return /#11/.test(q) ? '#11' : 'b5';
+    case 7: return '5';
+    case 8: return /aug|#5/.test(q) ? '#5' : 'b13';
+    case 9: return /dim7/.test(q) ? 'bb7' : /13/.test(q) ? '13' : '6';
+    case 10: return 'b7';
+    default: return '7';
+  }
+}
+
+function detectChordCandidates(pitchClasses, pcCounts = null, bassPc = null, names = CHROMATIC_SHARPS) {
+  // Every reading of the pitch classes, best first:
+  //   [{ name, root, quality, bass (pc or null), extras: [pc], tones: [{ pc, degree }] }]
   // pitchClasses: Set<number>
-  // pcCounts: optional Map<number, number> (duplicates across strings)
+  // pcCounts: optional Map<number, number> (distinct octaves of each pitch class)
+  // bassPc: optional pitch class of the lowest sounding note; a chord whose root is not the
+  // lowest note is named as a slash chord over it (C/E).
+  // names: the 12 note names to spell roots and bass notes with.
   const pcs = Array.from(pitchClasses).sort((a,b)=>a-b);
-  if (pcs.length < 2) return null;
+  if (pcs.length < 2) return [];
 
   const matches = [];
 
   for (const root of pcs) {
     const rel = pcs.map(pc => (pc - root + 12) % 12).sort((a,b)=>a-b);
-    for (const pat of CHORD_PATTERNS) {
+    CHORD_PATTERNS.forEach((pat, order) => {
       const ints = pat.ints;
       // Require all pattern intervals present
-      const ok = ints.every(x => rel.includes(x));
-      if (!ok) continue;
+      if (!ints.every(x => rel.includes(x))) return;
+      const opt = pat.opt || [];
+      const extraInts = rel.filter(x => !ints.includes(x) && !opt.includes(x));
 
       // Conservative extras gate:
       // - allow 0 extras always
       // - allow 1 extra if the chord is at least a triad (>=3 tones)
-      // - otherwise treat as ambiguous
-      const extras = rel.length - ints.length;
+      // - otherwise treat as a poor fit
+      const extras = extraInts.length;
       if (extras > 0) {
-        if (extras > 1) continue;
-        if (ints.length < 3) continue;
+        if (extras > 1) return;
+        if (ints.length < 3) return;
       }
 
       // Preference signals
       const dup = pcCounts ? (pcCounts.get(root) || 0) : 0;
+      const inBass = (bassPc == null || bassPc === root) ? 1 : 0;
+      const explained = rel.length - extras;
 
-      matches.push({
-        root,
-        quality: pat.name,
-        size: ints.length,
-        extras,
-        dup,
-      });
-    }
+      matches.push({ root, pat, order, extras, extraInts, inBass, dup, explained });
+    });
   }
 
-  if (matches.length === 0) return null;
-
   // Ranking:
   // 1) fewer extras
-  // 2) prefer roots that appear more than once across strings (common guitar voicing center)
-  // 3) prefer more-complete chords (7th > triad > dyad) when equally clean
+  // 2) prefer the root that is actually the lowest sounding note
+  // 3) prefer roots that appear in more than one octave (common guitar voicing center)
+  // 4) prefer chords that account for more of the notes (7th > triad > dyad)
+  // 5) plainer pattern (table order)
   matches.sort((a,b) =>
     (a.extras - b.extras) ||
+    (b.inBass - a.inBass) ||
     (b.dup - a.dup) ||
-    (b.size - a.size)
+    (b.explained - a.explained) ||
+    (a.order - b.order)
   );
 
-  const best = matches[0];
+  const seen = new Set();
+  const out = [];
+  for (const m of matches) {
+    const slash = (bassPc != null && bassPc !== m.root) ? bassPc : null;
+    const name = names[m.root] + m.pat.name + (slash != null ? '/' + names[slash] : '');
+    if (seen.has(name)) continue;
+    seen.add(name);
+    const extras = m.extraInts.map(x => (m.root + x) % 12);
+    const tones = pcs
+      .filter(pc => !extras.includes(pc))
+      .map(pc => ({ pc, interval: (pc - m.root + 12) % 12 }))
+      .sort((a, b) => a.interval - b.interval)
+      .map(t => ({ pc: t.pc, degree: chordDegree(t.interval, m.pat.name) }));
+    out.push({ name, root: m.root, quality: m.pat.name, bass: slash, extras, tones });
+  }
+  return out;
+}
+
+function detectChord(pitchClasses, pcCounts = null, bassPc = null) {
+  // Best reading's name, or null when nothing fits.
+  const cands = detectChordCandidates(pitchClasses, pcCounts, bassPc);
+  return cands.length ? cands[0].name : null;
+}
 
-  // If there are other equally-ranked matches, treat as ambiguous
-  const equally = matches.filter(m =>
-    m.extras === best.extras &&
-    m.dup === best.dup &&
-    m.size === best.size
-  );
-  if (equally.length > 1) return null;
+// -------------------------
+// Note cells
+// -------------------------
+// Each cell holds a note object (format v3); the shorthand typed and printed in tabs is its
+// text form, so the canvas, ASCII, PDF and image exports all show formatNote(note).
+//   { fret: 5,                          the first fret (null only for dead notes)
+//     steps: [{ tech, fret }],          later notes on the string: hammer, pull, slideUp, slideDown
+//     bend: 2,                          semitones the last fret is bent up ("7b9")
+//     release: 0,                       semitones still bent after letting the bend down ("7b9p7")
+//     into: 'hammer',                   technique into the next column's note ("5h", "7b")
+//     slideIn: 'up' | 'down',           "/5" from below, "\5" from above
+//     dead, ghost, harmonic, vibrato, staccato, accent, palmMute, letRing, tie: true }
+// Text that doesn't parse is kept as { raw } so nothing typed or imported is lost.
+const NOTE_TECHS = { h: 'hammer', p: 'pull', '/': 'slideUp', '\\': 'slideDown', b: 'bend' };
+const NOTE_TECH_SHORT = { hammer: 'h', pull: 'p', slideUp: '/', slideDown: '\\', bend: 'b' };
+// Marks after the frets, in the order they are printed.
+const NOTE_MARKS = [
+  ['~', 'vibrato', 'vibrato'], ['.', 'staccato', 'staccato'], ['^', 'accent', 'accent'],
+  ['m', 'palmMute', 'palm mute'], ['l', 'letRing', 'let ring'], ['t', 'tie', 'tied'],
+];
+const NOTE_TECH_NAMES = { hammer: 'hammer-on', pull: 'pull-off', slideUp: 'slide up', slideDown: 'slide down', bend: 'bend' };
+
+const noteParseCache = new Map();
+
+function parseNoteToken(text) {
+  // Shorthand -> { note } (note is null for an empty cell) or { error } saying what's wrong.
+  //   5  5h7p5  /5  7\5  7b9  7b9p7  7b  5h  (5)  <12>  x  7~  5m  5l  5t  5.  5^
+  const src = String(text ?? '').replace(/\s+/g, '');
+  if (!src) return { note: null };
+  if (noteParseCache.has(src)) return noteParseCache.get(src);
+  const res = parseNoteText(src);
+  if (noteParseCache.size > 2000) noteParseCache.clear();
+  noteParseCache.set(src, res);
+  return res;
+}
+
+function parseNoteText(src) {
+  let s = src;
+  const note = {};
+  // Ghost notes are bracketed; their marks may sit inside or after the brackets: "(7~)", "(7)~".
+  const ghost = /^\((.*)\)([^()]*)$/.exec(s);
+  if (ghost) {
+    note.ghost = true;
+    s = ghost[1] + ghost[2];
+  }
+  if (/[()]/.test(s)) return { error: `Brackets go around the whole note for a ghost note, e.g. (5), not "${src}"` };
+  if (s === 'x' || s === 'X') {
+    if (note.ghost) return { error: 'A dead note (x) can\'t also be a ghost note' };
+    return { note: { fret: null, dead: true } };
+  }
+  if (/^x/i.test(s)) return { error: `A dead note is just "x"; "${src}" has more after it` };
+
+  let i = 0;
+  const digits = () => {
+    const m = /^\d+/.exec(s.slice(i));
+    if (!m) return null;
+    i += m[0].length;
+    return parseInt(m[0], 10);
+  };
+  const harmonic = /^<(\d+)>/.exec(s);
+  if (harmonic) {
+    note.harmonic = true;
+    note.fret = parseInt(harmonic[1], 10);
+    i = harmonic[0].length;
+  } else {
+    if (s[i] === '/' || s[i] === '\\') {
+      note.slideIn = s[i] === '/' ? 'up' : 'down';
+      i++;
+    }
+    note.fret = digits();
+    if (note.fret == null) {
+      const ch = s[i];
+      const mark = NOTE_MARKS.find(([m]) => m === ch);
+      if (note.slideIn) return { error: `A slide in (${s[0]}) needs the fret it slides to, e.g. ${s[0]}5` };
+      if (ch && NOTE_TECHS[ch]) return { error: `A ${NOTE_TECH_NAMES[NOTE_TECHS[ch]]} (${ch}) needs a fret before it, e.g. 5${ch}7` };
+      if (mark) return { error: `The ${mark[2]} mark (${ch}) goes after a fret, e.g. 7${ch}` };
+      return { error: `"${src}" doesn't start with a fret number` };
+    }
+  }
+
+  // Techniques: each one followed by the fret it goes to, or by nothing when it leads into the
+  // next column. A bend ends the note apart from its release (p) and a technique into the next
+  // column.
+  while (i < s.length && NOTE_TECHS[s[i]]) {
+    const ch = s[i];
+    const tech = NOTE_TECHS[ch];
+    i++;
+    if (NOTE_TECHS[s[i]]) return { error: `Two techniques in a row ("${ch}${s[i]}"): write one between each pair of frets, e.g. 5h7p5` };
+    if (note.harmonic) return { error: 'A harmonic takes marks such as ~ but no techniques' };
+    if (note.into) return { error: `"${src}" carries on after a technique into the next column` };
+    const fret = digits();
+    if (fret == null) {
+      note.into = tech;
+      continue;
+    }
+    const from = note.steps ? note.steps[note.steps.length - 1].fret : note.fret;
+    if (note.release != null) return { error: 'A released bend ends the note; write the next note in the next column' };
+    if (note.bend) {
+      if (tech !== 'pull') return { error: `A bend ends the note apart from its release, e.g. ${from}b${from + note.bend}p${from}; write the next note in the next column` };
+      if (fret < from || fret >= from + note.bend) return { error: `A release lets the bend down towards fret ${from}, e.g. ${from}b${from + note.bend}p${from}` };
+      note.release = fret - from;
+    } else if (tech === 'bend') {
+      if (fret <= from) return { error: `A bend goes up: ${from}b${from + 2} bends fret ${from} up a whole tone` };
+      note.bend = fret - from;
+    } else {
+      (note.steps || (note.steps = [])).push({ tech, fret });
+    }
+  }
+
+  for (; i < s.length; i++) {
+    const mark = NOTE_MARKS.find(([ch]) => ch === s[i]);
+    if (!mark) return { error: `"${s[i]}" in "${src}" isn't a fret, technique or mark` };
+    if (note[mark[1]]) return { error: `"${src}" marks ${mark[2]} (${mark[0]}) twice` };
+    note[mark[1]] = true;
+  }
+  return { note };
+}
+
+function formatNote(note) {
+  // Note object -> shorthand, the inverse of parseNoteToken.
+  if (note == null) return '';
+  if (note.raw != null) return String(note.raw);
+  if (note.dead) return 'x';
+  let s;
+  if (note.harmonic) s = `<${note.fret}>`;
+  else {
+    s = (note.slideIn === 'up' ? '/' : note.slideIn === 'down' ? '\\' : '') + note.fret;
+    let last = note.fret;
+    for (const st of note.steps || []) {
+      s += NOTE_TECH_SHORT[st.tech] + st.fret;
+      last = st.fret;
+    }
+    if (note.bend) s += 'b' + (last + note.bend);
+    if (note.release != null) s += 'p' + (last + note.release);
+    if (note.into) s += NOTE_TECH_SHORT[note.into];
+  }
+  for (const [ch, key] of NOTE_MARKS) if (note[key]) s += ch;
+  return note.ghost ? `(${s})` : s;
+}
 
-  const rootName = CHROMATIC_SHARPS[best.root];
-  return rootName + best.quality;
+function toNote(value) {
+  // Cell value from shorthand (or an existing note): null for empty, { raw } if it doesn't parse.
+  if (value == null) return null;
+  if (typeof value === 'object') return value;
+  const text = String(value).trim();
+  if (!text) return null;
+  const { note, error } = parseNoteToken(text);
+  return error ? { raw: text } : deepClone(note); // parses are cached and shared
+}
+
+function noteError(note) {
+  // Why a stored cell didn't parse, or null.
+  return note && note.raw != null ? (parseNoteToken(note.raw).error || null) : null;
+}
+
+function describeNote(note) {
+  // "hammer-on to 7 · vibrato" for the hover tooltip; '' for a plain fret.
+  if (!note || note.raw != null) return '';
+  const parts = [];
+  if (note.dead) parts.push('dead note');
+  if (note.ghost) parts.push('ghost note');
+  if (note.harmonic) parts.push('natural harmonic');
+  if (note.slideIn) parts.push(`slide in from ${note.slideIn === 'up' ? 'below' : 'above'}`);
+  for (const st of note.steps || []) parts.push(`${NOTE_TECH_NAMES[st.tech]} to ${st.fret}`);
+  if (note.bend) parts.push(`bend ${note.bend === 1 ? 'a half tone' : note.bend === 2 ? 'a whole tone' : `${note.bend} semitones`}`);
+  if (note.release != null) parts.push(`release to ${noteFrets(note).pop()}`);
+  if (note.into) parts.push(`${NOTE_TECH_NAMES[note.into]} into the next note`);
+  for (const [, key, label] of NOTE_MARKS) if (note[key]) parts.push(label);
+  return parts.join(' · ');
+}
+
+// Natural harmonics sound this many semitones above the open string; other nodes sound the fret.
+const HARMONIC_SEMITONES = { 12: 12, 7: 19, 19: 19, 5: 24, 24: 24, 4: 28, 9: 28, 16: 28 };
+
+function harmonicSemitones(fret) {
+  return HARMONIC_SEMITONES[fret] ?? fret;
+}
+
+function harmonicNodeFret(semitones, maxFret) {
+  // The lowest fret whose natural harmonic sounds `semitones` above the open string, or null.
+  const frets = Object.keys(HARMONIC_SEMITONES).map(Number).sort((a, b) => a - b);
+  const fret = frets.find(f => f <= maxFret && HARMONIC_SEMITONES[f] === semitones);
+  return fret ?? null;
+}
+
+function noteFrets(note) {
+  // Frets a fretted note sounds, in order ("7b9" -> [7, 9]).
+  const frets = [note.fret, ...(note.steps || []).map(st => st.fret)];
+  const from = frets[frets.length - 1];
+  if (note.bend) frets.push(from + note.bend);
+  if (note.release != null) frets.push(from + note.release);
+  return frets;
+}
+
+function tokenToFrets(token) {
+  // Frets sounded by a cell, in order. ok is false for dead notes, empty cells and text that
+  // doesn't parse.
+  const { note } = parseNoteToken(token);
+  if (!note || note.fret == null) return { frets: [], ok: false };
+  return { frets: noteFrets(note), ok: true };
 }
 
 // -------------------------
 // Document model (.tabd)
 // -------------------------
 function newDoc(instrumentType='guitar', tuningName=null) {
-  const tuneKeys = Object.keys(TUNINGS[instrumentType]);
-  const tn = tuningName && TUNINGS[instrumentType][tuningName] ? tuningName : tuneKeys[0];
-  const strings = TUNINGS[instrumentType][tn];
+  const tunings = instrumentDef(instrumentType).tunings;
+  const tuneKeys = Object.keys(tunings);
+  const tn = tuningName && tunings[tuningName] ? tuningName : tuneKeys[0];
+  const { strings, pitches } = tunings[tn];
 
   // 64 columns to start
-  const columns = Array.from({ length: 64 }, () => ({ notes: {}, strum: '' }));
+  const columns = Array.from({ length: 64 }, () => ({ notes: [], strum: '' }));
 
   return {
     format: 'TabdProject',
-    tabd: { appVersion: APP_VERSION, formatVersion: APP_FORMAT_VERSION, minAppVersion: '1.0.0', createdUtc: new Date().toISOString(), modifiedUtc: new Date().toISOString() },
+    tabd: { appVersion: APP_VERSION, formatVersion: APP_FORMAT_VERSION, minAppVersion: APP_MIN_READER_VERSION, createdUtc: new Date().toISOString(), modifiedUtc: new Date().toISOString() },
     meta: { title: 'Untitled' },
-    instrument: { type: instrumentType, strings, tuningName: tn },
+    instrument: { type: instrumentType, strings: [...strings], pitches: [...pitches], tuningName: tn },
     capo: { fret: 0, mode: 'relative' },
     // Default: show Note Board (helps composition decisions without extra toggling)
-    view: { notesMode: 'board', notesInterpretation: 'fingered', chordsMode: 'off' },
+    view: { notesMode: 'board', notesInterpretation: 'fingered', chordsMode: 'off', rhythmMode: 'off', spelling: 'auto' },
+    // Song time signature (markers may carry their own `timeSig`) and playback tempo (quarter = bpm).
+    rhythm: { timeSig: '4/4', tempo: 100 },
     columns,
     markers: [],
   };
 }
 
+function cellToken(col, row) {
+  // Notes are stored per string index (top-to-bottom), so repeated string names never collide.
+  if (!col || !col.notes) return '';
+  return formatNote(col.notes[row]);
+}
+
+function notesFromTokens(columns) {
+  // Turn shorthand cells into note objects in place. A bare technique between two columns
+  // ("5", "h", "7" as typed before v3) joins the note before it on the same string ("5h", "7").
+  let prev = null;
+  for (const col of columns) {
+    if (!col || col.divider) { prev = null; continue; }
+    const notes = col.notes || [];
+    for (let r = 0; r < notes.length; r++) {
+      const text = notes[r] == null || typeof notes[r] === 'object' ? notes[r] : String(notes[r]).trim();
+      if (typeof text !== 'string') continue;
+      const before = prev && prev.notes[r];
+      const tech = NOTE_TECHS[text];
+      if (before && before.fret != null && !before.harmonic && !before.into && tech) {
+        before.into = tech;
+        notes[r] = null;
+      } else if (before && before.fret != null && text === '~') {
+        before.vibrato = true;
+        notes[r] = null;
+      } else {
+        notes[r] = toNote(text);
+      }
+    }
+    prev = col;
+  }
+  return columns;
+}
+
+function migrateDoc(d) {
+  // Bring older .tabd documents up to the current format in place.
+  if (!d.tabd) d.tabd = { appVersion: APP_VERSION, formatVersion: 1, minAppVersion: '1.0.0' };
+  const fv = Number(d.tabd.formatVersion) || 1;
+
+  if (fv < 2) {
+    // v1 keyed notes by string label. Repeated labels (e.g. two 'D' strings) shared one
+    // key, so the stored value goes to the first string that carries that label.
+    const labels = d.instrument.strings;
+    for (const col of d.columns) {
+      const old = (col && col.notes) || {};
+      if (Array.isArray(old)) continue;
+      const notes = [];
+      const used = new Set();
+      labels.forEach((label, i) => {
+        if (used.has(label)) return;
+        used.add(label);
+        if (old[label] != null && String(old[label]).trim() !== '') notes[i] = String(old[label]);
+      });
+      col.notes = notes;
+    }
+  }
+
+  for (const col of d.columns) {
+    if (!Array.isArray(col.notes)) col.notes = [];
+    if (col.strum == null) col.strum = '';
+  }
+  // v2 stored each cell as shorthand text.
+  if (fv < 3) notesFromTokens(d.columns);
+  if (!d.rhythm) d.rhythm = { timeSig: '4/4' };
+  if (!d.rhythm.tempo) d.rhythm.tempo = 100;
+  if (d.view && !d.view.rhythmMode) d.view.rhythmMode = 'off';
+  // Files from before the spelling option were written with sharps.
+  if (d.view && !d.view.spelling) d.view.spelling = 'sharps';
+  d.tabd.formatVersion = APP_FORMAT_VERSION;
+  d.tabd.minAppVersion = APP_MIN_READER_VERSION;
+  return d;
+}
+
+// -------------------------
+// Rhythm (durations, time signatures, bars)
+// -------------------------
+// Durations are stored per column as short tokens: a base letter (W H Q E S T =
+// whole .. 32nd), an optional '.' for dotted and an optional '3' for triplet: 'Q', 'E.', 'E3'.
+const TICKS_PER_QUARTER = 480;
+const DURATION_TICKS = { W: 1920, H: 960, Q: 480, E: 240, S: 120, T: 60 };
+
+function parseDuration(tok) {
+  const m = /^([WHQEST])(\.?)(3?)$/.exec(String(tok || '').trim().toUpperCase());
+  if (!m) return null;
+  return { base: m[1], dotted: m[2] === '.', triplet: m[3] === '3' };
+}
+
+function formatDuration(d) {
+  return d.base + (d.dotted ? '.' : '') + (d.triplet ? '3' : '');
+}
+
+function durationTicks(tok) {
+  const d = parseDuration(tok);
+  if (!d) return 0;
+  let t = DURATION_TICKS[d.base];
+  if (d.dotted) t = t * 3 / 2;
+  if (d.triplet) t = t * 2 / 3;
+  return t;
+}
+
+function parseTimeSig(str) {
+  const m = /^\s*(\d{1,2})\s*\/\s*(1|2|4|8|16|32)\s*$/.exec(String(str || ''));
+  if (!m) return null;
+  const num = parseInt(m[1], 10);
+  if (num < 1) return null;
+  return { num, den: parseInt(m[2], 10) };
+}
+
+function timeSigTicks(ts) {
+  return ts.num * (DURATION_TICKS.W / ts.den);
+}
+
+function hasColumnContent(col) {
+  if (!col || col.divider) return false;
+  if ((col.strum || '').trim() !== '') return true;
+  return (col.notes || []).some(t => t != null);
+}
+
+function columnTicks() {
+  // Effective length of every column. Durations are sticky: a column with notes but no
+  // duration of its own lasts as long as the previous timed column. Empty columns
+  // without a duration are layout spacers and take no time; dividers never do.
+  let prev = 0;
+  return doc.columns.map(col => {
+    if (!col || col.divider) return 0;
+    if (col.dur) {
+      prev = durationTicks(col.dur);
+      return prev;
+    }
+    return hasColumnContent(col) ? prev : 0;
+  });
+}
+
+function timeSigAt(colIdx) {
+  // The song time signature, overridden by the last marker at/before colIdx that sets one.
+  let ts = parseTimeSig(doc.rhythm && doc.rhythm.timeSig) || { num: 4, den: 4 };
+  let best = -1;
+  for (const m of (doc.markers || [])) {
+    if (!m || !m.timeSig || m.col > colIdx || m.col < best) continue;
+    const mts = parseTimeSig(m.timeSig);
+    if (mts) { ts = mts; best = m.col; }
+  }
+  return ts;
+}
+
+function sectionMarkerAt(colIdx) {
+  let found = null;
+  for (const m of (doc.markers || [])) {
+    if (m && m.col <= colIdx && (!found || m.col >= found.col)) found = m;
+  }
+  return found;
+}
+
+function analyzeBars() {
+  // Split the song at dividers and compare each bar's length with its time signature.
+  // status: 'ok' | 'over' | 'under' | null (bar holds no timed columns).
+  // The trailing bar is only flagged when overfull (it is usually still being written).
+  const ticks = columnTicks();
+  const bars = [];
+  let start = 0;
+  const close = (end, closed) => {
+    let sum = 0;
+    for (let i = start; i <= end; i++) sum += ticks[i];
+    const ts = timeSigAt(start);
+    const want = timeSigTicks(ts);
+    let status = null;
+    if (sum > 0) {
+      if (sum > want) status = 'over';
+      else if (sum < want) status = closed ? 'under' : null;
+      else status = 'ok';
+    }
+    if (end >= start) bars.push({ start, end, ticks: sum, want, ts, status });
+  };
+  for (let i = 0; i < doc.columns.length; i++) {
+    if (doc.columns[i] && doc.columns[i].divider) {
+      close(i - 1, true);
+      start = i + 1;
+    }
+  }
+  close(doc.columns.length - 1, false);
+  return bars;
+}
+
+function autoPlaceBars() {
+  // Rebuild bar dividers from the rhythm lane. Existing dividers are removed, then a
+  // divider is placed before the first timed column of each new bar, so spacer columns
+  // stay with the bar they follow. Markers keep pointing at the same musical column.
+  const ticks = columnTicks();
+  if (!ticks.some(t => t > 0)) return false;
+
+  const out = [];
+  const newIndex = new Array(doc.columns.length);
+  const pendingDividerIdx = []; // old divider indices waiting for their next column
+  let acc = 0;
+  let barLen = 0;
+  let barDue = false;
+  let lastTimedOut = -1;
+
+  for (let i = 0; i < doc.columns.length; i++) {
+    const col = doc.columns[i];
+    if (col && col.divider) { pendingDividerIdx.push(i); continue; }
+    if (ticks[i] > 0) {
+      if (barDue) {
+        out.push({ notes: [], strum: '', divider: true });
+        barDue = false;
+        acc = 0;
+      }
+      if (acc === 0) barLen = timeSigTicks(timeSigAt(i));
+    }
+    for (const d of pendingDividerIdx) newIndex[d] = out.length;
+    pendingDividerIdx.length = 0;
+    newIndex[i] = out.length;
+    out.push(col);
+    if (ticks[i] > 0) {
+      lastTimedOut = out.length - 1;
+      acc += ticks[i];
+      if (acc >= barLen) barDue = true;
+    }
+  }
+  for (const d of pendingDividerIdx) newIndex[d] = out.length;
+  if (barDue && lastTimedOut >= 0) {
+    out.splice(lastTimedOut + 1, 0, { notes: [], strum: '', divider: true });
+    for (let i = 0; i < newIndex.length; i++) {
+      if (newIndex[i] > lastTimedOut) newIndex[i] += 1;
+    }
+  }
+
+  for (const m of (doc.markers || [])) {
+    if (!m) continue;
+    const mapped = newIndex[clamp(m.col, 0, newIndex.length - 1)];
+    m.col = clamp(mapped ?? m.col, 0, Math.max(0, out.length - 1));
+  }
+  doc.columns = out.length ? out : [{ notes: [], strum: '' }];
+  return true;
+}
+
+function timelineTicks() {
+  // Column lengths for playback and exports. Timed columns use the rhythm lane; columns
+  // with notes but no duration yet (or songs without a rhythm lane) count as eighths.
+  return columnTicks().map((t, i) => (t === 0 && hasColumnContent(doc.columns[i])) ? DURATION_TICKS.E : t);
+}
+
+function songTempo() {
+  return clamp(parseInt(doc.rhythm && doc.rhythm.tempo, 10) || 100, 20, 300);
+}
+
+// -------------------------
+// Custom tunings (user library + document)
+// -------------------------
+function labelsForPitches(pitches) {
+  // Row labels are pitch-class names; the highest string is lowercased when it
+  // shares its name with a lower string (the familiar high 'e').
+  const midis = pitches.map(pitchToMidi);
+  const names = midis.map(m => CHROMATIC_SHARPS[((m % 12) + 12) % 12]);
+  const top = midis.indexOf(Math.max(...midis));
+  if (top >= 0 && names.some((n, i) => i !== top && n === names[top])) {
+    names[top] = names[top].toLowerCase();
+  }
+  return names;
+}
+
+function loadUserTunings() {
+  try {
+    const raw = localStorage.getItem(LS_USER_TUNINGS);
+    const lib = raw ? JSON.parse(raw) : {};
+    return (lib && typeof lib === 'object') ? lib : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function saveUserTuning(type, name, pitches) {
+  const lib = loadUserTunings();
+  if (!lib[type]) lib[type] = {};
+  lib[type][name] = { strings: labelsForPitches(pitches), pitches: [...pitches] };
+  try { localStorage.setItem(LS_USER_TUNINGS, JSON.stringify(lib)); } catch (_) {}
+}
+
+function deleteUserTuning(type, name) {
+  const lib = loadUserTunings();
+  if (!lib[type] || !lib[type][name]) return;
+  delete lib[type][name];
+  try { localStorage.setItem(LS_USER_TUNINGS, JSON.stringify(lib)); } catch (_) {}
+}
+
+function customTuningsFor(type) {
+  // User library plus the open document's own custom tuning (which travels in the .tabd file).
+  const out = {};
+  const lib = loadUserTunings()[type] || {};
+  for (const [name, t] of Object.entries(lib)) {
+    if (t && Array.isArray(t.pitches) && t.pitches.every(p => pitchToMidi(p) != null)) out[name] = t;
+  }
+  const inst = typeof doc !== 'undefined' && doc ? doc.instrument : null;
+  if (inst && inst.type === type && inst.custom && !instrumentDef(type).tunings[inst.tuningName] && !out[inst.tuningName]) {
+    out[inst.tuningName] = { strings: [...inst.strings], pitches: [...inst.pitches] };
+  }
+  return out;
+}
+
+function findTuning(type, name) {
+  if (instrumentDef(type).tunings[name]) return instrumentDef(type).tunings[name];
+  return customTuningsFor(type)[name] || null;
+}
+
 // -------------------------
 // Canvas editor
 // -------------------------
 const canvas = document.getElementById('editor');
-const ctx = canvas.getContext('2d');
+const fretPanel = document.getElementById('fretPanel');
+const fretCanvas = document.getElementById('fretCanvas');
+const fretPanelTitle = document.getElementById('fretPanelTitle');
+const sidePanels = document.querySelector('.sidePanels');
+const playPanel = document.getElementById('playPanel');
+const playPanelCount = document.getElementById('playPanelCount');
+const playList = document.getElementById('playList');
+const stretchInput = document.getElementById('stretchInput');
+const fingersInput = document.getElementById('fingersInput');
+const playabilityBtn = document.getElementById('playabilityBtn');
+const refingerPanel = document.getElementById('refingerPanel');
+const refingerRange = document.getElementById('refingerRange');
+const refingerList = document.getElementById('refingerList');
+const refingerApply = document.getElementById('refingerApply');
+const refingerCancel = document.getElementById('refingerCancel');
+const refingerBtn = document.getElementById('refingerBtn');
+const canvasCtx = canvas.getContext('2d');
+let ctx = canvasCtx; // drawing target for the render helpers; image export swaps in its own surface
 const canvasWrap = document.querySelector('.canvasWrap');
 const tooltip = document.getElementById('tooltip');
 
@@ -290,20 +972,34 @@ function attachUiTip(el, text) {
 const instrumentSelect = document.getElementById('instrumentSelect');
 const tuningSelect = document.getElementById('tuningSelect');
 const capoInput = document.getElementById('capoInput');
+const timeSigInput = document.getElementById('timeSigInput');
+const keyInput = document.getElementById('keyInput');
 
 const notesModeSeg = document.getElementById('notesMode');
 const notesInterpretSeg = document.getElementById('notesInterpret');
 const chordsModeSeg = document.getElementById('chordsMode');
+const rhythmModeSeg = document.getElementById('rhythmMode');
+const spellingSeg = document.getElementById('spellingMode');
+const retabModeSeg = document.getElementById('retabMode');
+const fretboardSeg = document.getElementById('fretboardMode');
 
 const newBtn = document.getElementById('newBtn');
 const saveBtn = document.getElementById('saveBtn');
 const openBtn = document.getElementById('openBtn');
 const exportBtn = document.getElementById('exportBtn');
+const exportMidiBtn = document.getElementById('exportMidiBtn');
+const exportXmlBtn = document.getElementById('exportXmlBtn');
+const exportPdfBtn = document.getElementById('exportPdfBtn');
+const exportSvgBtn = document.getElementById('exportSvgBtn');
+const exportPngBtn = document.getElementById('exportPngBtn');
 const addColsBtn = document.getElementById('addColsBtn');
 const insertColBtn = document.getElementById('insertColBtn');
 const deleteColBtn = document.getElementById('deleteColBtn');
 const addDividerBtn = document.getElementById('addDividerBtn');
 const addMarkerBtn = document.getElementById('addMarkerBtn');
+const autoBarsBtn = document.getElementById('autoBarsBtn');
+const playBtn = document.getElementById('playBtn');
+const tempoInput = document.getElementById('tempoInput');
 const openFile = document.getElementById('openFile');
 
 const modeBadge = document.getElementById('modeBadge');
@@ -358,13 +1054,7 @@ function removeMarkersInRange(startCol, endCol) {
 }
 function markerHit(mx, my) {
   // Detect clicks in the gap between strum lane and first string row
-  const marginL = 54;
-  const marginT = 18;
-  const rowH = 34;
-  const laneGap = 14;
-  const strumH = 30;
-  const yStrumTop = marginT;
-  const yTabTop = yStrumTop + strumH + laneGap;
+  const { marginL, yStrumTop, strumH, yTabTop } = getLayout();
   const bandTop = yStrumTop + strumH;
   const bandBot = yTabTop;
   if (my < bandTop || my > bandBot) return null;
@@ -400,7 +1090,8 @@ function clearColSel() {
   colSel = null;
 }
 let chordStack = false;
-let insertMode = false; // placeholder (UI badge only)
+let insertMode = false; // typing a fret inserts a column instead of overwriting
+let insertStackCol = null; // column inserted for the current chord-stack entry (insert mode)
 
 // Chord label state (for subtle change highlight)
 let lastChordLabel = null;
@@ -415,6 +1106,10 @@ let history = [];
 let future = [];
 
 function pushHistory() {
+  // A re-finger preview isn't part of the song: put the written tab back before recording.
+  if (refinger) endRefinger(false);
+  keyCache.clear();
+  playabilityCache = null;
   history.push(deepClone(doc));
   if (history.length > 50) history.shift();
   future = [];
@@ -447,45 +1142,150 @@ function getActiveMode(segEl) {
   return b ? b.dataset.mode : null;
 }
 
+function populateInstrumentSelect() {
+  instrumentSelect.innerHTML = '';
+  for (const [type, def] of Object.entries(INSTRUMENTS)) {
+    const opt = document.createElement('option');
+    opt.value = type;
+    opt.textContent = def.label;
+    instrumentSelect.appendChild(opt);
+  }
+}
+
 function populateTuningSelect() {
   const type = instrumentSelect.value;
   tuningSelect.innerHTML = '';
-  for (const name of Object.keys(TUNINGS[type])) {
+  for (const name of Object.keys(instrumentDef(type).tunings)) {
     const opt = document.createElement('option');
     opt.value = name;
     opt.textContent = name;
     tuningSelect.appendChild(opt);
   }
+  const custom = Object.keys(customTuningsFor(type));
+  if (custom.length) {
+    const group = document.createElement('optgroup');
+    group.label = 'Custom';
+    for (const name of custom) {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      group.appendChild(opt);
+    }
+    tuningSelect.appendChild(group);
+  }
 }
 
-function applyInstrumentAndTuning(type, tuningName) {
-  // Preserve columns, but adjust row mapping if string count changes.
-  pushHistory();
-  const oldStrings = doc.instrument.strings;
-  const newStrings = TUNINGS[type][tuningName];
+// What a tuning or instrument change keeps: 'frets' (the numbers stay, so pitches follow the new
+// strings) or 'pitches' (every note is re-fretted, moving strings where it has to).
+let retabMode = 'pitches';
+try {
+  const saved = localStorage.getItem(LS_RETAB_MODE);
+  if (saved === 'frets' || saved === 'pitches') retabMode = saved;
+} catch (_) {}
 
-  // Build remap by index for safety
-  const minLen = Math.min(oldStrings.length, newStrings.length);
+function retabColumn(col, oldOpens, newOpens, maxFret) {
+  // Re-fret a column's notes onto new open strings at the same pitches.
+  // Returns { notes, lost: [{ row, token }] } (rows are the old string indexes).
+  // The assignment places as many notes as possible, then moves frets the least, so strings
+  // that keep their open pitch keep their notes.
+  const notes = new Array(newOpens.length).fill(null);
+  const lost = [];
+  const items = [];
+  oldOpens.forEach((open, r) => {
+    const note = col.notes[r];
+    if (note == null) return;
+    if (open != null && note.raw == null && note.fret != null) { items.push({ row: r, note, open }); return; }
+    // Dead notes and unreadable cells have no pitch to keep; they stay on their string index.
+    if (r < notes.length) notes[r] = note;
+    else lost.push({ row: r, token: formatNote(note) });
+  });
+  for (const it of items) {
+    it.options = [];
+    newOpens.forEach((open, s) => {
+      if (open == null || notes[s] != null) return;
+      const shift = it.open - open;
+      const moved = shiftNote(it.note, shift, maxFret);
+      if (moved) it.options.push({ s, shift, moved });
+    });
+    it.options.sort((a, b) => Math.abs(a.shift) - Math.abs(b.shift));
+  }
 
-  for (const col of doc.columns) {
-    const newNotes = {};
-    // map top-to-bottom indices
-    for (let i = 0; i < minLen; i++) {
-      const oldLabel = oldStrings[i];
-      const newLabel = newStrings[i];
-      if (col.notes[oldLabel] != null) newNotes[newLabel] = col.notes[oldLabel];
+  let best = { placed: -1, cost: Infinity, picks: [] };
+  const picks = [];
+  const used = new Set();
+  const search = (i, placed, cost) => {
+    const reachable = placed + (items.length - i);
+    if (reachable < best.placed || (reachable === best.placed && cost >= best.cost)) return;
+    if (i === items.length) {
+      best = { placed, cost, picks: [...picks] };
+      return;
     }
-    col.notes = newNotes;
+    for (const o of items[i].options) {
+      if (used.has(o.s)) continue;
+      used.add(o.s);
+      picks.push(o);
+      search(i + 1, placed + 1, cost + Math.abs(o.shift));
+      picks.pop();
+      used.delete(o.s);
+    }
+    picks.push(null);
+    search(i + 1, placed, cost);
+    picks.pop();
+  };
+  search(0, 0, 0);
+
+  items.forEach((it, i) => {
+    const o = best.picks[i];
+    if (o) notes[o.s] = o.moved;
+    else lost.push({ row: it.row, token: formatNote(it.note) });
+  });
+  return { notes, lost };
+}
+
+function applyInstrumentAndTuning(type, tuningName, keep = retabMode) {
+  // Switch the instrument/tuning, keeping either the fret numbers or the pitches (see retabMode).
+  // Notes that end up with no string are listed afterwards.
+  const tuning = findTuning(type, tuningName);
+  if (!tuning) return;
+  pushHistory();
+  const newStrings = tuning.strings;
+  const oldLabels = doc.instrument.strings.map((_, r) => stringLabelAt(r));
+  const lost = [];
+
+  if (keep === 'pitches') {
+    const oldOpens = doc.instrument.strings.map((_, r) => openMidiForRow(r));
+    const newOpens = tuning.pitches.map(pitchToMidi);
+    const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+    const maxFret = writtenFretLimit(capo, type);
+    doc.columns.forEach((col, c) => {
+      if (!col || col.divider) return;
+      const res = retabColumn(col, oldOpens, newOpens, maxFret);
+      col.notes = res.notes;
+      for (const l of res.lost) lost.push({ col: c, row: l.row, token: l.token, label: oldLabels[l.row] });
+    });
+  } else {
+    // Notes are stored by string index (top-to-bottom); drop rows past the new string count.
+    doc.columns.forEach((col, c) => {
+      const notes = col.notes || [];
+      for (let r = newStrings.length; r < notes.length; r++) {
+        const tok = cellToken(col, r);
+        if (tok) lost.push({ col: c, row: r, token: tok, label: oldLabels[r] });
+      }
+      col.notes = notes.slice(0, newStrings.length);
+    });
   }
 
   doc.instrument.type = type;
   doc.instrument.tuningName = tuningName;
   doc.instrument.strings = [...newStrings];
+  doc.instrument.pitches = [...tuning.pitches];
+  doc.instrument.custom = !instrumentDef(type).tunings[tuningName];
 
   // clamp cursor
   cursor.row = clamp(cursor.row, 0, doc.instrument.strings.length - 1);
 
   render();
+  if (lost.length) alert(unplacedReport(lost, 'removed'));
 }
 
 function syncControlsFromDoc() {
@@ -493,15 +1293,19 @@ function syncControlsFromDoc() {
   populateTuningSelect();
   tuningSelect.value = doc.instrument.tuningName;
   capoInput.value = String(doc.capo.fret ?? 0);
+  tempoInput.value = String(songTempo());
 
   setSegActive(notesModeSeg, doc.view.notesMode);
   setSegActive(notesInterpretSeg, doc.view.notesInterpretation);
   setSegActive(chordsModeSeg, doc.view.chordsMode);
+  setSegActive(rhythmModeSeg, doc.view.rhythmMode || 'off');
+  setSegActive(spellingSeg, doc.view.spelling || 'sharps');
+  setSegActive(fretboardSeg, doc.view.fretboard || 'off');
 }
 
 function updateModeBadge() {
   if (!modeBadge) return;
-  const label = insertMode ? 'Insert (stub)' : 'Overwrite';
+  const label = insertMode ? 'Insert' : 'Overwrite';
   modeBadge.textContent = label + (chordStack ? ' · Chord-stack' : '');
 }
 
@@ -515,12 +1319,12 @@ function colCharWidth(colIdx) {
   let w = 1;
   // strum token width
   if (col.strum) w = Math.max(w, String(col.strum).length);
+  // duration token width
+  if (col.dur) w = Math.max(w, String(col.dur).length);
   // note tokens
-  for (const s of doc.instrument.strings) {
-    const tok = col.notes[s];
-    if (tok != null && String(tok).trim() !== '') {
-      w = Math.max(w, String(tok).length);
-    }
+  for (let r = 0; r < doc.instrument.strings.length; r++) {
+    const tok = cellToken(col, r);
+    if (tok) w = Math.max(w, tok.length);
     // note board tokens (derived) only affect board when enabled; do NOT affect grid width.
   }
   return clamp(w, 1, 4); // keep sane; beyond 4 becomes hard to read in a single cell
@@ -538,27 +1342,48 @@ function buildColumnPixelWidths(fontSizePx) {
   return { widths, charW, pad };
 }
 
+function getLayout() {
+  // Vertical layout shared by render, hit-testing and canvas sizing.
+  // Lanes top-to-bottom: chord (optional), strum, marker gap, tab rows, rhythm (optional), note board (optional).
+  const L = { marginL: 54, marginT: 18, marginB: 18, rowH: 34, laneGap: 14, strumH: 30, rhythmH: 28, titleH: 18, chordH: 24 };
+  L.tabRows = doc.instrument.strings.length;
+  L.showRhythm = (doc.view.rhythmMode === 'lane');
+  L.showNoteBoard = (doc.view.notesMode === 'board');
+  L.showChordLane = (doc.view.chordsMode === 'lane');
+
+  L.yChordTop = L.marginT;
+  L.yStrumTop = L.showChordLane ? L.yChordTop + L.chordH + 6 : L.marginT;
+  L.yTabTop = L.yStrumTop + L.strumH + L.laneGap;
+  let y = L.yTabTop + L.tabRows * L.rowH;
+  L.yRhythmTop = y + 6;
+  if (L.showRhythm) y = L.yRhythmTop + L.rhythmH;
+  L.yBelowGrid = y;
+  L.yNoteHeader = y + L.laneGap;
+  L.yNoteTop = L.yNoteHeader + L.titleH;
+  L.height = (L.showNoteBoard ? L.yNoteTop + L.tabRows * L.rowH : y) + L.marginB;
+  return L;
+}
+
 // -------------------------
 // Rendering
 // -------------------------
+const TAB_FONTS = { tab: 18, label: 12, notes: 14, chord: 12 };
+
 function render() {
   readColors();
+  keyCache.clear();
+  // Side panels first: showing or hiding them changes the room left for the tab.
+  renderFretPanel();
+  const issues = playabilityIssues();
+  renderPlayPanel(issues);
+  renderRefingerPanel();
+  if (sidePanels) sidePanels.hidden = [fretPanel, playPanel, refingerPanel].every(p => !p || p.hidden);
   // Layout constants
-  const marginL = 54;
-  const marginT = 18;
-  const rowH = 34;
-  const laneGap = 14;
-  const strumH = 30;
-  const titleH = 18;
-
-  // Fonts
-  const fontTab = 18;
-  const fontLabel = 12;
-  const fontNotes = 14;
-  const fontChord = 12;
+  const L = getLayout();
+  const { marginL } = L;
 
   // Measure column widths first, then size canvas in CSS pixels so the wrapper can scroll.
-  const { widths: colPx, charW } = buildColumnPixelWidths(fontTab);
+  const { widths: colPx, charW } = buildColumnPixelWidths(TAB_FONTS.tab);
   const totalW = colPx.reduce((a,b)=>a+b, 0);
 
   // Desired canvas CSS width = max(viewport inner width, content width)
@@ -579,39 +1404,83 @@ function render() {
 
   ctx.clearRect(0, 0, cssWidth, desiredHeight);
 
-  const showNoteBoard = (doc.view.notesMode === 'board');
-  // Chords require derived notes; if notes are Off, chords are unavailable.
-  const showChords = (doc.view.chordsMode === 'hover' && doc.view.notesMode !== 'off');
+  // Keep chord-change state in sync with current cursor/settings.
+  updateChordLabelState();
 
   // Visible columns: with a scrollable wrapper, we can render all columns.
-  const visible = { start: 0, end: doc.columns.length };
+  paintTab({ width: cssWidth, height: desiredHeight, colPx, charW, start: 0, end: doc.columns.length, editing: true, issues });
+
+  // Update readout
+  const rowLabel = (cursor.lane === 'strum') ? 'Strum' : (cursor.lane === 'rhythm') ? 'Rhythm' : stringLabelAt(cursor.row);
+  let readout = `${rowLabel} · col ${cursor.col+1}/${doc.columns.length}`;
+  if (L.showRhythm) {
+    const bars = analyzeBars();
+    const bi = bars.findIndex(b => cursor.col >= b.start && cursor.col <= b.end);
+    if (bi >= 0) {
+      const bar = bars[bi];
+      const beats = bar.ticks / (DURATION_TICKS.W / bar.ts.den);
+      const beatsText = Number.isInteger(beats) ? String(beats) : beats.toFixed(2).replace(/0+$/, '');
+      readout += ` · bar ${bi + 1}: ${beatsText}/${bar.ts.num} of ${bar.ts.num}/${bar.ts.den}`;
+      if (bar.status === 'over') readout += ' (overfull)';
+      if (bar.status === 'under') readout += ' (underfull)';
+    }
+  }
+  const here = issues.find(i => i.col === cursor.col && (i.row == null || i.row === cursor.row));
+  if (here) readout += ` · ⚠ ${here.message}`;
+  cursorReadout.textContent = readout;
+  if (timeSigInput && document.activeElement !== timeSigInput) {
+    const ts = timeSigAt(cursor.col);
+    timeSigInput.value = `${ts.num}/${ts.den}`;
+  }
+  if (keyInput && document.activeElement !== keyInput) {
+    // The set key of the cursor's section (or the song); a detected key shows as the placeholder.
+    const section = sectionMarkerAt(cursor.col);
+    const set = parseKey(section && section.key) || parseKey(doc.key);
+    keyInput.value = formatKey(set);
+    const key = set ? null : keyAt(cursor.col);
+    keyInput.placeholder = key ? formatKey(key) : 'auto';
+  }
+
+  updateModeBadge();
+}
+
+function paintTab(view) {
+  // Draws the tab into the current ctx (the editor canvas, or an export surface from
+  // exportTabImage). view: { width, height } in CSS pixels, colPx/charW from
+  // buildColumnPixelWidths, columns start..end-1 (earlier columns must have zero width),
+  // and `editing` to add the cursor, selection and chord-change highlight, plus the
+  // playability `issues` to mark.
+  const { width, height, colPx, charW, start, end, editing } = view;
+  const L = getLayout();
+  const { marginL, rowH, strumH } = L;
+  const fonts = TAB_FONTS;
+  const showNoteBoard = L.showNoteBoard;
+  // Chords require derived notes; if notes are Off, chords are unavailable.
+  const showChords = (doc.view.chordsMode === 'hover' && doc.view.notesMode !== 'off');
 
   // Background
   ctx.fillStyle = COLORS.grid;
-  ctx.fillRect(0, 0, cssWidth, desiredHeight);
+  ctx.fillRect(0, 0, width, height);
 
   // Subtle header
   ctx.fillStyle = 'rgba(255,255,255,0.02)';
-  ctx.fillRect(0, 0, cssWidth, 44);
+  ctx.fillRect(0, 0, width, 44);
 
   // (No onboarding text on the canvas.)
 
   // Compute key y positions
-  const yStrumTop = marginT;
-  const yTabTop = yStrumTop + strumH + laneGap;
-  const tabRows = doc.instrument.strings.length;
-  const yNoteHeader = yTabTop + tabRows * rowH + laneGap;
-  const yNoteTop = yNoteHeader + titleH;
+  const { yStrumTop, yTabTop, tabRows, yNoteHeader, yNoteTop } = L;
 
   // Active column band
-  const xColStart = colStartX(colPx, visible.start, marginL);
-  const xCursorCol = colStartX(colPx, cursor.col, marginL);
-  const xCursorW = colPx[cursor.col] || colPx[0];
-  ctx.fillStyle = COLORS.accent2;
-  ctx.fillRect(xCursorCol, 0, xCursorW, desiredHeight);
+  if (editing) {
+    const xCursorCol = colStartX(colPx, cursor.col, marginL);
+    const xCursorW = colPx[cursor.col] || colPx[0];
+    ctx.fillStyle = COLORS.accent2;
+    ctx.fillRect(xCursorCol, 0, xCursorW, height);
+  }
 
   // Column selection glow (drag-select range)
-  if (colSel && typeof colSel.startCol === 'number' && typeof colSel.endCol === 'number') {
+  if (editing && colSel && typeof colSel.startCol === 'number' && typeof colSel.endCol === 'number') {
     const sCol = Math.max(0, Math.min(colSel.startCol, colSel.endCol));
     const eCol = Math.max(0, Math.max(colSel.startCol, colSel.endCol));
     const xSel = colStartX(colPx, sCol, marginL);
@@ -633,17 +1502,17 @@ function render() {
 
     ctx.save();
     ctx.fillStyle = fill;
-    ctx.fillRect(xSel, 0, Math.max(0, xEnd - xSel), desiredHeight);
+    ctx.fillRect(xSel, 0, Math.max(0, xEnd - xSel), height);
 
     ctx.strokeStyle = stroke;
     ctx.lineWidth = 2;
     // outer rect stroke
-    ctx.strokeRect(xSel + 1, 1, Math.max(0, xEnd - xSel - 2), desiredHeight - 2);
+    ctx.strokeRect(xSel + 1, 1, Math.max(0, xEnd - xSel - 2), height - 2);
 
     // subtle glow
     ctx.globalAlpha = 0.35;
     ctx.lineWidth = 6;
-    ctx.strokeRect(xSel + 3, 3, Math.max(0, xEnd - xSel - 6), desiredHeight - 6);
+    ctx.strokeRect(xSel + 3, 3, Math.max(0, xEnd - xSel - 6), height - 6);
     ctx.restore();
   }
 
@@ -653,14 +1522,15 @@ function render() {
   ctx.lineWidth = 1;
 
   // Labels (string names)
-  ctx.font = `600 ${fontLabel}px "DM Sans", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+  ctx.font = `600 ${fonts.label}px "DM Sans", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
   ctx.fillStyle = COLORS.text2;
 
   // Strum label
   ctx.fillText('Str', 14, yStrumTop + 20);
 
+  const labelNames = songNoteNames();
   for (let r = 0; r < tabRows; r++) {
-    const label = doc.instrument.strings[r];
+    const label = stringLabelAt(r, labelNames);
     ctx.fillText(label + '|', 14, yTabTop + r * rowH + 22);
   }
 
@@ -668,13 +1538,13 @@ function render() {
     ctx.fillStyle = COLORS.text2;
     ctx.fillText('Notes', 10, yNoteHeader + 12);
     for (let r = 0; r < tabRows; r++) {
-      const label = doc.instrument.strings[r];
+      const label = stringLabelAt(r, labelNames);
       ctx.fillText(label + '|', 14, yNoteTop + r * rowH + 22);
     }
   }
 
   // Strum lane cells + text
-  for (let c = visible.start; c < visible.end; c++) {
+  for (let c = start; c < end; c++) {
     const x = colStartX(colPx, c, marginL);
     const w = colPx[c];
     const colObj = doc.columns[c];
@@ -684,7 +1554,7 @@ function render() {
 
     if (colObj && colObj.divider) {
       // Divider column
-      ctx.font = `600 ${fontTab}px "JetBrains Mono", ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace`;
+      ctx.font = `600 ${fonts.tab}px "JetBrains Mono", ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace`;
       ctx.fillStyle = COLORS.text2;
       drawCenteredText('|', x, yStrumTop, w, strumH);
       continue;
@@ -696,22 +1566,23 @@ function render() {
     // strum token
     const s = (colObj && colObj.strum) || '';
     if (s) {
-      ctx.font = `600 ${fontTab}px "JetBrains Mono", ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace`;
+      ctx.font = `600 ${fonts.tab}px "JetBrains Mono", ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace`;
       ctx.fillStyle = COLORS.text;
       drawCenteredText(s, x, yStrumTop, w, strumH);
     }
   }
 
 
+  if (L.showChordLane) renderChordLane(colPx, L, start, end);
+
   // Markers (lightweight labels anchored to a column)
-  renderMarkers(colPx, marginL, yTabTop - 6, charW, fontTab);
+  renderMarkers(colPx, marginL, yTabTop - 6, start, end);
 
   // Tab rows
   for (let r = 0; r < tabRows; r++) {
-    const stringLabel = doc.instrument.strings[r];
     const y = yTabTop + r * rowH;
 
-    for (let c = visible.start; c < visible.end; c++) {
+    for (let c = start; c < end; c++) {
       const x = colStartX(colPx, c, marginL);
       const w = colPx[c];
 
@@ -721,38 +1592,116 @@ function render() {
 
       const colObj = doc.columns[c];
       if (colObj && colObj.divider) {
-        ctx.font = `600 ${fontTab}px "JetBrains Mono", ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace`;
+        ctx.font = `600 ${fonts.tab}px "JetBrains Mono", ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace`;
         ctx.fillStyle = COLORS.text2;
         drawCenteredText('|', x, y, w, rowH);
         continue;
       }
-      const tok = colObj.notes[stringLabel];
-      if (tok != null && String(tok).trim() !== '') {
-        ctx.font = `500 ${fontTab}px "JetBrains Mono", ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace`;
-        ctx.fillStyle = COLORS.text;
-        drawCenteredText(String(tok), x, y, w, rowH);
+      const tok = cellToken(colObj, r);
+      if (tok) {
+        ctx.font = `500 ${fonts.tab}px "JetBrains Mono", ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace`;
+        // Cells a re-finger preview moved stand out until it's applied or cancelled.
+        ctx.fillStyle = editing && refingerChanged(c, r) ? COLORS.accent : COLORS.text;
+        drawCenteredText(tok, x, y, w, rowH);
       }
     }
   }
 
-  // Keep chord-change state in sync with current cursor/settings.
-  updateChordLabelState();
+  // Playability warnings: a corner tick on cells that can't be played as written, and a rule
+  // under columns whose shape is too wide or needs too many fingers.
+  if (editing && view.issues && view.issues.length) {
+    ctx.save();
+    ctx.fillStyle = COLORS.warn;
+    ctx.strokeStyle = COLORS.warn;
+    ctx.lineWidth = 2;
+    const yBottom = yTabTop + tabRows * rowH;
+    for (const issue of view.issues) {
+      if (issue.col < start || issue.col >= end) continue;
+      const x = colStartX(colPx, issue.col, marginL);
+      const w = colPx[issue.col];
+      if (issue.row == null) {
+        ctx.beginPath();
+        ctx.moveTo(x + 3, yBottom - 3);
+        ctx.lineTo(x + w - 3, yBottom - 3);
+        ctx.stroke();
+      } else {
+        const y = yTabTop + issue.row * rowH;
+        ctx.beginPath();
+        ctx.moveTo(x + w - 8, y + 1);
+        ctx.lineTo(x + w - 1, y + 1);
+        ctx.lineTo(x + w - 1, y + 8);
+        ctx.closePath();
+        ctx.fill();
+      }
+    }
+    ctx.restore();
+  }
+
+  // Rhythm lane (durations) with bar-length checks
+  if (L.showRhythm) {
+    const yR = L.yRhythmTop;
+    ctx.font = `600 ${fonts.label}px "DM Sans", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+    ctx.fillStyle = COLORS.text2;
+    ctx.fillText('Dur', 14, yR + 19);
+
+    let lastDur = '';
+    const ticks = columnTicks();
+    for (let c = start; c < end; c++) {
+      const x = colStartX(colPx, c, marginL);
+      const w = colPx[c];
+      const colObj = doc.columns[c];
+      ctx.strokeRect(x, yR, w, L.rhythmH);
+      if (colObj && colObj.divider) {
+        ctx.font = `600 ${fonts.tab}px "JetBrains Mono", ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace`;
+        ctx.fillStyle = COLORS.text2;
+        drawCenteredText('|', x, yR, w, L.rhythmH);
+        continue;
+      }
+      ctx.font = `600 14px "JetBrains Mono", ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace`;
+      if (colObj && colObj.dur) {
+        lastDur = String(colObj.dur);
+        ctx.fillStyle = COLORS.text;
+        drawCenteredText(lastDur, x, yR - 2, w, L.rhythmH);
+      } else if (ticks[c] > 0 && lastDur) {
+        // Inherited (sticky) duration: shown muted so explicit entries stand out.
+        ctx.fillStyle = COLORS.muted;
+        drawCenteredText(lastDur, x, yR - 2, w, L.rhythmH);
+      }
+    }
+
+    // Overfull / underfull bars get a warning rule along the bottom of the lane.
+    ctx.save();
+    ctx.strokeStyle = COLORS.warn;
+    ctx.lineWidth = 2;
+    for (const bar of analyzeBars()) {
+      if (bar.status !== 'over' && bar.status !== 'under') continue;
+      const x0 = colStartX(colPx, bar.start, marginL);
+      const x1 = colStartX(colPx, bar.end + 1, marginL);
+      ctx.beginPath();
+      ctx.moveTo(x0 + 2, yR + L.rhythmH - 3);
+      ctx.lineTo(x1 - 2, yR + L.rhythmH - 3);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
 
   // Note board + chord label
   let chordText = null;
   const now = performance.now();
-  const chordHi = clamp(1 - ((now - lastChordChangeTs) / 420), 0, 1);
+  const chordHi = editing ? clamp(1 - ((now - lastChordChangeTs) / 420), 0, 1) : 0;
+  // An exported range only carries the pill when the cursor column is part of it.
+  const showPill = showChords && cursor.col >= start && cursor.col < end;
 
   if (showNoteBoard) {
     // Header (no extra label; the Notes control already defines this view)
     ctx.font = `500 12px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
     ctx.fillStyle = COLORS.muted;
 
-    if (showChords) {
+    if (showPill) {
       chordText = getActiveChordLabel();
       if (chordText) {
         // place near note board header
-        ctx.font = `600 ${fontChord}px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+        ctx.font = `600 ${fonts.chord}px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
         ctx.fillStyle = COLORS.text;
         const chip = `Chord: ${chordText}`;
         const x = colStartX(colPx, cursor.col, marginL) + 8;
@@ -761,21 +1710,34 @@ function render() {
       }
     }
 
+    // Degrees: out-of-key notes use the warn colour.
+    const degrees = doc.view.notesInterpretation === 'degrees';
+    if (degrees && !showPill) {
+      const key = keyAt(clamp(cursor.col, start, Math.max(start, end - 1)));
+      if (key) ctx.fillText(`Key: ${formatKey(key)}${key.auto ? ' (detected)' : ''}`, marginL + 4, yNoteHeader + 12);
+    }
+
     for (let r = 0; r < tabRows; r++) {
-      const stringLabel = doc.instrument.strings[r];
       const y = yNoteTop + r * rowH;
 
-      for (let c = visible.start; c < visible.end; c++) {
+      for (let c = start; c < end; c++) {
         const x = colStartX(colPx, c, marginL);
         const w = colPx[c];
 
         ctx.strokeRect(x, y, w, rowH);
         drawCellDashes(x, y, w, rowH, charW);
 
-        const noteTok = deriveFinalNoteToken(stringLabel, c);
+        const degree = degrees ? deriveDegreeInfo(r, c, keyAt(c)) : null;
+        const noteTok = degrees ? (degree && degree.label) : deriveFinalNoteToken(r, c);
         if (noteTok) {
-          ctx.font = `500 ${fontNotes}px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
-          ctx.fillStyle = COLORS.text2;
+          // Octave-qualified names (e.g. C#4) can outgrow narrow columns; shrink to fit.
+          let fs = fonts.notes;
+          ctx.font = `500 ${fs}px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+          while (fs > 9 && ctx.measureText(noteTok).width > w - 4) {
+            fs--;
+            ctx.font = `500 ${fs}px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+          }
+          ctx.fillStyle = (degree && !degree.inKey) ? COLORS.warn : COLORS.text2;
           drawCenteredText(noteTok, x, y, w, rowH);
         }
       }
@@ -783,33 +1745,27 @@ function render() {
   } else {
     // If the note board is hidden but chord hover is enabled, still show a subtle
     // chord pill just below the tab grid (keeps the feature usable without clutter).
-    if (showChords) {
+    if (showPill) {
       chordText = getActiveChordLabel();
       if (chordText) {
-        ctx.font = `600 ${fontChord}px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+        ctx.font = `600 ${fonts.chord}px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
         ctx.fillStyle = COLORS.text;
         const chip = `Chord: ${chordText}`;
         const x = colStartX(colPx, cursor.col, marginL) + 8;
-        const y = yTabTop + tabRows * rowH + 8;
+        const y = L.yBelowGrid + 8;
         drawPill(chip, x, y, COLORS.accent2, chordHi);
       }
     }
   }
 
   // Cursor outline
-  const cursorBox = getCursorRect(colPx, marginL, yStrumTop, yTabTop, rowH, strumH, laneGap, showNoteBoard, yNoteTop);
+  const cursorBox = editing && getCursorRect(colPx, L);
   if (cursorBox) {
     ctx.strokeStyle = COLORS.focus;
     ctx.lineWidth = 2;
     ctx.strokeRect(cursorBox.x+1, cursorBox.y+1, cursorBox.w-2, cursorBox.h-2);
     ctx.lineWidth = 1;
   }
-
-  // Update readout
-  const rowLabel = (cursor.lane === 'strum') ? 'Strum' : doc.instrument.strings[cursor.row];
-  cursorReadout.textContent = `${rowLabel} · col ${cursor.col+1}/${doc.columns.length}`;
-
-  updateModeBadge();
 }
 
 function computeVisibleColumns(colPx, availableW) {
@@ -824,19 +1780,7 @@ function computeVisibleColumns(colPx, availableW) {
 }
 
 function computeDesiredCanvasHeight() {
-  const rowH = 34;
-  const laneGap = 14;
-  const strumH = 30;
-  const titleH = 18;
-  const marginT = 18;
-  const marginB = 18;
-
-  const rows = doc.instrument.strings.length;
-  let h = marginT + strumH + laneGap + rows * rowH + marginB;
-  if (doc.view.notesMode === 'board') {
-    h += laneGap + titleH + rows * rowH;
-  }
-  return h;
+  return getLayout().height;
 }
 
 function colStartX(colPx, colIdx, marginL) {
@@ -877,32 +1821,75 @@ function drawCenteredText(text, x, y, w, h) {
 }
 
 
-function renderMarkers(colPx, marginL, yBase, charW, fontSize) {
+function renderMarkers(colPx, marginL, yBase, start = 0, end = doc.columns.length) {
   if (!doc.markers || doc.markers.length === 0) return;
-  ctx.font = `600 ${Math.max(11, fontSize - 4)}px "DM Sans", "Inter", ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial`;
+  ctx.font = `600 ${Math.max(11, TAB_FONTS.tab - 4)}px "DM Sans", "Inter", ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial`;
   ctx.fillStyle = COLORS.text2;
   for (const m of doc.markers) {
     if (!m) continue;
     const c = clamp(m.col, 0, doc.columns.length - 1);
+    if (c < start || c >= end) continue;
     const x = colStartX(colPx, c, marginL);
-    const w = colPx[c];
     const label = (m.name || '').trim();
     if (!label) continue;
     // draw label slightly above the strum/tab gap
     ctx.fillText(label, x + 4, yBase);
   }
 }
-function drawPill(text, x, y, bg, highlight = 0) {
-  ctx.save();
-  ctx.font = `600 12px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
-  const padX = 10;
-  const padY = 6;
-  const w = ctx.measureText(text).width + padX * 2;
-  const h = 26;
-
-  // Keep pills fully on-canvas (prevents edge clipping at small viewports)
-  const margin = 6;
-  x = clamp(x, margin, ctx.canvas.width - w - margin);
+function renderChordLane(colPx, L, start = 0, end = doc.columns.length) {
+  // One label per chord change; hand-set labels (col.chord) are always shown, in the accent colour.
+  const { marginL, yChordTop, chordH } = L;
+  const labels = chordLaneLabels();
+  ctx.font = `600 ${TAB_FONTS.label}px "DM Sans", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+  ctx.fillStyle = COLORS.text2;
+  ctx.fillText('Chd', 14, yChordTop + 16);
+  for (let c = start; c < end; c++) {
+    if (!labels[c]) continue;
+    // A long name may run over the following columns, up to the next label; shrink to fit.
+    let next = c + 1;
+    while (next < end && !labels[next]) next++;
+    const x = colStartX(colPx, c, marginL);
+    const xNext = next < end ? colStartX(colPx, next, marginL) : x + 400;
+    let fs = TAB_FONTS.chord + 1;
+    ctx.font = `600 ${fs}px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+    while (fs > 9 && ctx.measureText(labels[c]).width > xNext - x - 6) {
+      fs--;
+      ctx.font = `600 ${fs}px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+    }
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, yChordTop, xNext - x - 2, chordH);
+    ctx.clip();
+    ctx.fillStyle = doc.columns[c].chord ? COLORS.accent : COLORS.text;
+    ctx.fillText(labels[c], x + 4, yChordTop + 17);
+    ctx.restore();
+  }
+}
+
+function chordLaneHit(mx, my) {
+  // Column under the pointer when it is in the chord lane, else null.
+  const L = getLayout();
+  if (!L.showChordLane || my < L.yChordTop || my >= L.yChordTop + L.chordH) return null;
+  const { widths: colPx } = buildColumnPixelWidths(TAB_FONTS.tab);
+  let x0 = L.marginL;
+  for (let c = 0; c < colPx.length; c++) {
+    if (mx >= x0 && mx < x0 + colPx[c]) return c;
+    x0 += colPx[c];
+  }
+  return null;
+}
+
+function drawPill(text, x, y, bg, highlight = 0) {
+  ctx.save();
+  ctx.font = `600 12px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif`;
+  const padX = 10;
+  const padY = 6;
+  const w = ctx.measureText(text).width + padX * 2;
+  const h = 26;
+
+  // Keep pills fully on-canvas (prevents edge clipping at small viewports)
+  const margin = 6;
+  x = clamp(x, margin, ctx.canvas.width - w - margin);
   y = clamp(y, margin, ctx.canvas.height - h - margin);
 
   // bg
@@ -934,77 +1921,178 @@ function roundRect(ctx, x, y, w, h, r) {
   ctx.closePath();
 }
 
-function getCursorRect(colPx, marginL, yStrumTop, yTabTop, rowH, strumH) {
-  const x = colStartX(colPx, cursor.col, marginL);
+function getCursorRect(colPx, L) {
+  const x = colStartX(colPx, cursor.col, L.marginL);
   const w = colPx[cursor.col] || colPx[0];
   if (cursor.lane === 'strum') {
-    return { x, y: yStrumTop, w, h: strumH };
+    return { x, y: L.yStrumTop, w, h: L.strumH };
+  }
+  if (cursor.lane === 'rhythm') {
+    return { x, y: L.yRhythmTop, w, h: L.rhythmH };
   }
-  return { x, y: yTabTop + cursor.row * rowH, w, h: rowH };
+  return { x, y: L.yTabTop + cursor.row * L.rowH, w, h: L.rowH };
 }
 
 // -------------------------
 // Derived notes + chords
 // -------------------------
-function deriveFinalNoteToken(stringLabel, colIdx) {
-  const tok = doc.columns[colIdx].notes[stringLabel];
-  if (tok == null || String(tok).trim() === '') return null;
+function openMidiForRow(row) {
+  if (!doc.instrument.pitches) return null;
+  return pitchToMidi(doc.instrument.pitches[row]);
+}
+
+function deriveFinalNoteToken(row, colIdx) {
+  const tok = cellToken(doc.columns[colIdx], row);
+  if (!tok) return null;
 
   const { frets, ok } = tokenToFrets(tok);
   if (!ok) return null;
 
   const finalFret = frets[frets.length - 1];
-  const openPc = OPEN_PC[stringLabel];
-  if (openPc == null) return null;
+  const openMidi = openMidiForRow(row);
+  if (openMidi == null) return null;
 
   const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
   const interpret = doc.view.notesInterpretation;
-  return fretToNoteName(openPc, finalFret, capo, interpret);
+  if (interpret === 'degrees') {
+    const info = deriveDegreeInfo(row, colIdx);
+    return info ? info.label : null;
+  }
+  return fretToNoteName(openMidi, finalFret, capo, interpret, noteNamesAt(colIdx));
+}
+
+function deriveDegreeInfo(row, colIdx, key = keyAt(colIdx)) {
+  // Scale degree of a cell's final (sounding) note: { label, inKey } or null.
+  const tok = cellToken(doc.columns[colIdx], row);
+  if (!tok) return null;
+  const { frets, ok } = tokenToFrets(tok);
+  const openMidi = openMidiForRow(row);
+  if (!ok || openMidi == null) return null;
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  return degreeInfo(fretToMidi(openMidi, frets[frets.length - 1], capo, 'sounding'), key);
 }
 
-function deriveHoverNoteInfo(stringLabel, colIdx) {
-  const tok = doc.columns[colIdx].notes[stringLabel];
-  if (tok == null || String(tok).trim() === '') return null;
+function deriveHoverNoteInfo(row, colIdx) {
+  const tok = cellToken(doc.columns[colIdx], row);
+  if (!tok) return null;
   const { frets, ok } = tokenToFrets(tok);
   if (!ok) return null;
 
-  const openPc = OPEN_PC[stringLabel];
-  if (openPc == null) return null;
+  const openMidi = openMidiForRow(row);
+  if (openMidi == null) return null;
 
   const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
   const interpret = doc.view.notesInterpretation;
 
-  const notes = frets.map(f => fretToNoteName(openPc, f, capo, interpret));
-  return { token: String(tok), frets, notes, interpret };
+  const names = noteNamesAt(colIdx);
+  const notes = frets.map(f => fretToNoteName(openMidi, f, capo, interpret, names));
+  return { token: tok, frets, notes, interpret };
 }
 
-function detectChordForColumn(colIdx) {
-  // Build pitch class set from derived final notes for that column
-  const pcs = new Set();
-  const counts = new Map();
-  for (const s of doc.instrument.strings) {
-    const tok = doc.columns[colIdx].notes[s];
-    if (tok == null || String(tok).trim() === '') continue;
+function columnSoundingMidis(colIdx) {
+  // Absolute pitches (final fret of each token) for a column, per the active interpretation.
+  const out = [];
+  for (let r = 0; r < doc.instrument.strings.length; r++) {
+    const tok = cellToken(doc.columns[colIdx], r);
+    if (!tok) continue;
     const { frets, ok } = tokenToFrets(tok);
     if (!ok) continue;
     const finalFret = frets[frets.length - 1];
-    const openPc = OPEN_PC[s];
-    if (openPc == null) continue;
+    const openMidi = openMidiForRow(r);
+    if (openMidi == null) continue;
     const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
     const interpret = doc.view.notesInterpretation;
-    let pc = (openPc + finalFret) % 12;
-    if (interpret === 'sounding') pc = (pc + capo) % 12;
+    out.push(fretToMidi(openMidi, finalFret, capo, interpret));
+  }
+  return out;
+}
+
+function chordCandidatesForColumn(colIdx) {
+  // Pitch classes come from absolute pitches so the real bass note and true
+  // octave doublings (not unisons) inform the ranking.
+  const midis = columnSoundingMidis(colIdx);
+  if (midis.length === 0) return [];
+  const pcs = new Set();
+  const octaves = new Map(); // pc -> Set<midi>
+  for (const m of midis) {
+    const pc = m % 12;
     pcs.add(pc);
-    counts.set(pc, (counts.get(pc) || 0) + 1);
+    if (!octaves.has(pc)) octaves.set(pc, new Set());
+    octaves.get(pc).add(m);
   }
-  return detectChord(pcs, counts);
+  const counts = new Map();
+  for (const [pc, set] of octaves) counts.set(pc, set.size);
+  const bassPc = Math.min(...midis) % 12;
+  return detectChordCandidates(pcs, counts, bassPc, noteNamesAt(colIdx));
+}
+
+function detectChordForColumn(colIdx) {
+  const cands = chordCandidatesForColumn(colIdx);
+  return cands.length ? cands[0].name : null;
+}
+
+function chordTooltipHtml(colIdx, limit = 3) {
+  // "Cmaj7/E: E = 3, G = 5, B = 7, C = 1" for the best readings of a column; a hand-set
+  // label is shown first. Empty string when there is nothing to explain.
+  const col = doc.columns[colIdx];
+  const cands = chordCandidatesForColumn(colIdx).slice(0, limit);
+  const rows = [];
+  if (col && col.chord) rows.push(`<div><span class="mono">${xmlEscape(col.chord)}</span> <span class="muted">(set by hand)</span></div>`);
+  const names = noteNamesAt(colIdx);
+  cands.forEach((c, i) => {
+    const map = c.tones.map(t => `${names[t.pc]} = ${t.degree}`).join(', ');
+    const extra = c.extras.length ? ` <span class="muted">+ ${c.extras.map(pc => names[pc]).join(' ')}</span>` : '';
+    const label = i === 0 && !(col && col.chord) ? '' : '<span class="muted">or </span>';
+    rows.push(`<div>${label}<span class="mono">${c.name}</span>: ${map}${extra}</div>`);
+  });
+  return rows.join('');
+}
+
+function columnChord(colIdx) {
+  // The chord for a column: a hand-set label (col.chord) wins over the inferred one.
+  const col = doc.columns[colIdx];
+  if (!col || col.divider) return null;
+  return col.chord || detectChordForColumn(colIdx);
+}
+
+function chordLaneLabels() {
+  // Per-column text for the chord lane and the ASCII chord line: printed where the chord
+  // changes, so a sustained or repeated chord appears once. Hand-set labels always print.
+  let last = null;
+  return doc.columns.map((col, i) => {
+    const chord = columnChord(i);
+    if (!chord || (chord === last && !col.chord)) return '';
+    last = chord;
+    return chord;
+  });
+}
+
+function editColumnChord(colIdx) {
+  // Pin (accept the suggestion), override (type another name) or clear (blank) a chord label.
+  const col = doc.columns[colIdx];
+  if (!col || col.divider) return;
+  const current = columnChord(colIdx) || '';
+  const name = prompt(`Chord at column ${colIdx + 1} (blank = infer from the notes)`, current);
+  if (name === null) return;
+  const label = String(name).trim();
+  if ((col.chord || '') === label) return;
+  pushHistory();
+  if (label) col.chord = label;
+  else delete col.chord;
+  render();
 }
 
 function getActiveChordLabel() {
   // Chord labels rely on derived notes. If notes are Off, chords are unavailable.
   if (doc.view.chordsMode !== 'hover') return null;
   if (doc.view.notesMode === 'off') return null;
-  return detectChordForColumn(cursor.col);
+  const col = doc.columns[cursor.col];
+  if (col && col.chord) return col.chord;
+  // An ambiguous shape lists the equally clean readings, best first ("C6 / Am7/C").
+  const cands = chordCandidatesForColumn(cursor.col);
+  if (!cands.length) return null;
+  const clean = cands.filter(c => c.extras.length === cands[0].extras.length).slice(0, 3);
+  return clean.map(c => c.name).join(' / ');
 }
 
 function updateChordLabelState() {
@@ -1016,865 +2104,4117 @@ function updateChordLabelState() {
 }
 
 // -------------------------
-// Input + interaction
+// Keys and scale degrees
 // -------------------------
-function commitDigitBuffer() {
-  if (!digitBuffer) return;
-  const val = digitBuffer;
-  digitBuffer = '';
-  if (digitTimer) {
-    clearTimeout(digitTimer);
-    digitTimer = null;
-  }
-  applyToken(val);
+// Keys are written like chord roots: "A" (major) or "Am" (minor). The song key is doc.key and a
+// marker's section may set its own (marker.key); without either, the key is detected.
+const SCALE_STEPS = { major: [0, 2, 4, 5, 7, 9, 11], minor: [0, 2, 3, 5, 7, 8, 10] };
+const DEGREE_NAMES = ['1', 'b2', '2', 'b3', '3', '4', '#4', '5', 'b6', '6', 'b7', '7'];
+// Krumhansl-Kessler key profiles (tonic first).
+const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17],
+};
+const KEY_MIN_NOTES = 8; // fewer notes than this in a section: use the whole song's key
+
+function parseKey(text) {
+  // "A", "Am", "F#m", "Bb", "A minor", "Eb major" -> { tonic: pc, minor: bool } | null
+  const m = /^\s*([A-Ga-g])\s*([#b]?)\s*(m|min|minor|maj|major)?\s*$/i.exec(String(text || ''));
+  if (!m) return null;
+  let tonic = NOTE_PC[m[1].toUpperCase()];
+  if (m[2] === '#') tonic += 1;
+  if (m[2] === 'b') tonic += 11;
+  // "m", "min" and "minor" are minor; "M", "maj", "major" and nothing at all are major.
+  const q = m[3] || '';
+  return { tonic: tonic % 12, minor: q === 'm' || /^min/i.test(q) };
 }
 
-function scheduleDigitCommit() {
-  if (digitTimer) clearTimeout(digitTimer);
-  digitTimer = setTimeout(() => {
-    commitDigitBuffer();
-  }, 350);
+function formatKey(key) {
+  return key ? keyNames(key)[key.tonic] + (key.minor ? 'm' : '') : '';
 }
 
-function clearDigitBuffer() {
-  digitBuffer = '';
-  if (digitTimer) {
-    clearTimeout(digitTimer);
-    digitTimer = null;
+function pitchClassWeights(start, end) {
+  // Sounding pitch classes of columns start..end, each weighted by how long its column lasts
+  // (columns without a duration count as one eighth).
+  const ticks = columnTicks();
+  const w = new Array(12).fill(0);
+  let notes = 0;
+  for (let i = start; i <= end; i++) {
+    const col = doc.columns[i];
+    if (!col || col.divider) continue;
+    for (let r = 0; r < doc.instrument.strings.length; r++) {
+      const tok = cellToken(col, r);
+      if (!tok) continue;
+      const { frets, ok } = tokenToFrets(tok);
+      const openMidi = openMidiForRow(r);
+      if (!ok || openMidi == null) continue;
+      const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+      for (const f of frets) {
+        w[fretToMidi(openMidi, f, capo, 'sounding') % 12] += ticks[i] || DURATION_TICKS.E;
+        notes++;
+      }
+    }
   }
+  return { weights: w, notes };
 }
 
-function applyToken(token) {
-  const c = cursor.col;
-  if (doc.columns[c] && doc.columns[c].divider) return;
-  pushHistory();
-  if (cursor.lane === 'strum') {
-    doc.columns[c].strum = token;
-  } else {
-    const s = doc.instrument.strings[cursor.row];
-    doc.columns[c].notes[s] = token;
-    if (chordStack) {
-      cursor.row = clamp(cursor.row + 1, 0, doc.instrument.strings.length - 1);
-    } else {
-      cursor.col = clamp(cursor.col + 1, 0, doc.columns.length - 1);
+function detectKey(weights) {
+  // Best-correlating major or minor key for 12 pitch-class weights, or null for silence.
+  if (!weights.some(x => x > 0)) return null;
+  const mean = (a) => a.reduce((x, y) => x + y, 0) / a.length;
+  const corr = (a, b) => {
+    const ma = mean(a), mb = mean(b);
+    let num = 0, da = 0, db = 0;
+    for (let i = 0; i < 12; i++) {
+      num += (a[i] - ma) * (b[i] - mb);
+      da += (a[i] - ma) ** 2;
+      db += (b[i] - mb) ** 2;
+    }
+    return da && db ? num / Math.sqrt(da * db) : 0;
+  };
+  let best = null;
+  for (const minor of [false, true]) {
+    const profile = KEY_PROFILES[minor ? 'minor' : 'major'];
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const rotated = profile.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+      const score = corr(weights, rotated);
+      if (!best || score > best.score) best = { tonic, minor, score };
     }
   }
-  render();
+  return best;
 }
 
-function clearCell() {
-  const c = cursor.col;
-  if (doc.columns[c] && doc.columns[c].divider) return;
-  pushHistory();
-  if (cursor.lane === 'strum') {
-    doc.columns[c].strum = '';
-  } else {
-    const s = doc.instrument.strings[cursor.row];
-    delete doc.columns[c].notes[s];
+function keySectionBounds(colIdx) {
+  // Columns of the marker section holding colIdx (the whole song when there are no markers).
+  const marker = sectionMarkerAt(colIdx);
+  const start = marker ? marker.col : 0;
+  let end = doc.columns.length - 1;
+  for (const m of (doc.markers || [])) {
+    if (m && m.col > start && m.col - 1 < end) end = m.col - 1;
   }
-  render();
+  return { marker, start, end };
 }
 
-function moveCursor(dx, dy) {
-  commitDigitBuffer();
-  if (cursor.lane === 'strum') {
-    cursor.col = clamp(cursor.col + dx, 0, doc.columns.length - 1);
-    if (dy !== 0) {
-      cursor.lane = 'tab';
-      cursor.row = 0;
-    }
+// Keys by section start. Spelling asks for the key of every note name drawn, so detection runs
+// once per section; edits always end in render() or pushHistory(), which clear it.
+const keyCache = new Map();
+
+function keyAt(colIdx) {
+  // { tonic, minor, auto } for the column: the section's key, else the song key, else detected
+  // from the section (or the whole song when the section has too few notes).
+  const { marker, start, end } = keySectionBounds(colIdx);
+  if (keyCache.has(start)) return keyCache.get(start);
+  let key = null;
+  const set = parseKey(marker && marker.key) || parseKey(doc.key);
+  if (set) {
+    key = { ...set, auto: false };
   } else {
-    cursor.col = clamp(cursor.col + dx, 0, doc.columns.length - 1);
-    cursor.row = clamp(cursor.row + dy, 0, doc.instrument.strings.length - 1);
-    if (dy < 0 && cursor.row === 0 && cursor.row + dy < 0) {
-      // no-op
-    }
+    let { weights, notes } = pitchClassWeights(start, end);
+    if (notes < KEY_MIN_NOTES) weights = pitchClassWeights(0, doc.columns.length - 1).weights;
+    const found = detectKey(weights);
+    if (found) key = { tonic: found.tonic, minor: found.minor, auto: true };
   }
-  render();
+  keyCache.set(start, key);
+  return key;
 }
 
-function focusStrumLane() {
-  commitDigitBuffer();
-  cursor.lane = 'strum';
-  render();
+function degreeInfo(midi, key) {
+  // Scale degree of a pitch in a key: { label: '1'|'b3'|..., inKey }.
+  if (midi == null || !key) return null;
+  const interval = ((midi - key.tonic) % 12 + 12) % 12;
+  const steps = SCALE_STEPS[key.minor ? 'minor' : 'major'];
+  return { label: DEGREE_NAMES[interval], inKey: steps.includes(interval) };
 }
 
-function focusTabLane() {
-  commitDigitBuffer();
-  cursor.lane = 'tab';
-  render();
+// Note spelling (doc.view.spelling): 'sharps', 'flats', or 'auto' to follow the key signature of
+// each section's key. Keys without sharps or flats (C, Am) spell with sharps.
+const FLAT_KEY_TONICS = { major: [5, 10, 3, 8, 1], minor: [2, 7, 0, 5, 10, 3] }; // F..Db, Dm..Ebm
+
+function keyPrefersFlats(key) {
+  return !!key && FLAT_KEY_TONICS[key.minor ? 'minor' : 'major'].includes(key.tonic);
 }
 
-function canvasToCell(mx, my) {
-  // Use same layout metrics as render
-  const cssWidth = canvas.clientWidth;
-  const marginL = 54;
-  const marginT = 18;
-  const rowH = 34;
-  const laneGap = 14;
-  const strumH = 30;
-  const titleH = 18;
+function keyNames(key) {
+  // The 12 note names for a key under the active spelling.
+  const spelling = doc.view.spelling || 'sharps';
+  if (spelling === 'flats') return CHROMATIC_FLATS;
+  if (spelling === 'auto' && keyPrefersFlats(key)) return CHROMATIC_FLATS;
+  return CHROMATIC_SHARPS;
+}
 
-  const tabRows = doc.instrument.strings.length;
-  const showNoteBoard = (doc.view.notesMode === 'board');
+function noteNamesAt(colIdx) {
+  // The 12 note names to spell pitches in a column with.
+  const spelling = doc.view.spelling || 'sharps';
+  if (spelling !== 'auto') return spelling === 'flats' ? CHROMATIC_FLATS : CHROMATIC_SHARPS;
+  return keyNames(doc.columns.length ? keyAt(clamp(colIdx, 0, doc.columns.length - 1)) : null);
+}
 
-  const yStrumTop = marginT;
-  const yTabTop = yStrumTop + strumH + laneGap;
-  const yNoteHeader = yTabTop + tabRows * rowH + laneGap;
-  const yNoteTop = yNoteHeader + titleH;
+function songNoteNames() {
+  // Note names for song-wide text (tuning headers, string labels): the song key, else the first
+  // section's.
+  const set = parseKey(doc.key);
+  return set ? keyNames(set) : noteNamesAt(0);
+}
 
-  const { widths: colPx } = buildColumnPixelWidths(18);
-  const visible = computeVisibleColumns(colPx, cssWidth - marginL - 18);
+function stringLabelAt(row, names = songNoteNames()) {
+  // A string's label respelled (D# -> Eb); lowercase labels (the high e) stay lowercase.
+  const label = doc.instrument.strings[row] || '';
+  const pc = NOTE_PC[label.toUpperCase()];
+  if (pc == null) return label;
+  return label === label.toLowerCase() ? names[pc].toLowerCase() : names[pc];
+}
 
-  // Determine column
-  if (mx < marginL) return null;
-  let x = marginL;
-  let col = null;
-  for (let c = visible.start; c < visible.end; c++) {
-    const w = colPx[c];
-    if (mx >= x && mx < x + w) { col = c; break; }
-    x += w;
+// -------------------------
+// Fretboard panel
+// -------------------------
+// The cursor column drawn on a vertical neck, low string on the left. Compact shapes get a
+// five-fret chord box; wider ones a longer stretch of neck with inlays. Dots sit at real neck
+// positions (capo included) and the chord root is highlighted.
+const FRET_PANEL_W = 220;
+const FRET_BOX_FRETS = 5;
+const FRET_NECK_FRETS = 12;
+const FRET_INLAYS = [3, 5, 7, 9, 12, 15, 17, 19, 21, 24];
+let fretPanelGeom = null; // { first, count, left, top, sp, fh, rows, capo } of the last paint
+
+function fretPanelDots(colIdx) {
+  // [{ row, fret (neck position), written, final, pc }] for every fret in the column's tokens.
+  const col = doc.columns[colIdx];
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  const interpret = doc.view.notesInterpretation;
+  const dots = [];
+  if (!col || col.divider) return dots;
+  for (let r = 0; r < doc.instrument.strings.length; r++) {
+    const tok = cellToken(col, r);
+    const openMidi = openMidiForRow(r);
+    if (!tok || openMidi == null) continue;
+    const { frets, ok } = tokenToFrets(tok);
+    if (!ok) continue;
+    frets.forEach((f, i) => dots.push({
+      row: r, fret: f + capo, written: f, final: i === frets.length - 1,
+      pc: fretToMidi(openMidi, f, capo, interpret) % 12,
+    }));
   }
-  if (col == null) return null;
+  return dots;
+}
 
-  // Determine lane
-  if (my >= yStrumTop && my < yStrumTop + strumH) {
-    return { lane: 'strum', col };
+function columnChordRoot(colIdx) {
+  // Root pitch class of the hand-set chord, else of the best inferred reading.
+  const col = doc.columns[colIdx];
+  const m = col && col.chord && /^([A-G])([#b]?)/.exec(col.chord);
+  if (m) return (NOTE_PC[m[1]] + (m[2] === '#' ? 1 : m[2] === 'b' ? 11 : 0)) % 12;
+  const cands = chordCandidatesForColumn(colIdx);
+  return cands.length ? cands[0].root : null;
+}
+
+function renderFretPanel() {
+  if (!fretPanel || !fretCanvas) return;
+  const show = doc.view.fretboard === 'panel';
+  fretPanel.hidden = !show;
+  if (!show) { fretPanelGeom = null; return; }
+
+  const colIdx = cursor.col;
+  const rows = doc.instrument.strings.length;
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  const neckFrets = instrumentDef(doc.instrument.type).frets;
+  const dots = fretPanelDots(colIdx);
+  const fretted = dots.filter(d => d.written > 0).map(d => d.fret);
+  const lo = fretted.length ? Math.min(...fretted) : capo + 1;
+  const hi = fretted.length ? Math.max(...fretted) : capo + 1;
+  const compact = hi - lo < FRET_BOX_FRETS;
+  const count = compact ? FRET_BOX_FRETS : Math.min(neckFrets, Math.max(FRET_NECK_FRETS, hi - lo + 2));
+  // A chord box starts at the nut, or at the capo so the capo stays in view, when the shape fits.
+  const base = Math.max(1, capo);
+  let first = compact ? (hi < base + FRET_BOX_FRETS ? base : lo) : Math.max(1, lo - 1);
+  first = clamp(first, 1, Math.max(1, neckFrets - count + 1));
+
+  const chord = columnChord(colIdx);
+  if (fretPanelTitle) fretPanelTitle.textContent = `Col ${colIdx + 1}${chord ? ' · ' + chord : ''}`;
+
+  const sp = Math.min(26, (FRET_PANEL_W - 70) / Math.max(1, rows - 1));
+  const fh = compact ? 34 : 26;
+  const left = Math.round((FRET_PANEL_W - sp * (rows - 1)) / 2);
+  const top = 34;
+  const cssH = top + count * fh + 16;
+  const dpr = window.devicePixelRatio || 1;
+  fretCanvas.style.width = FRET_PANEL_W + 'px';
+  fretCanvas.style.height = cssH + 'px';
+  fretCanvas.width = Math.floor(FRET_PANEL_W * dpr);
+  fretCanvas.height = Math.floor(cssH * dpr);
+  const g = fretCanvas.getContext('2d');
+  g.setTransform(dpr, 0, 0, dpr, 0, 0);
+  g.clearRect(0, 0, FRET_PANEL_W, cssH);
+
+  const stringX = (r) => left + (rows - 1 - r) * sp;
+  const slotY = (fret) => top + (fret - first + 0.5) * fh;
+  const right = stringX(0);
+
+  // Inlays (neck view), behind everything else
+  if (!compact) {
+    g.fillStyle = COLORS.grid;
+    for (let f = first; f < first + count; f++) {
+      if (!FRET_INLAYS.includes(f)) continue;
+      const cx = (left + right) / 2;
+      const pair = f % 12 === 0;
+      for (const dx of pair ? [-sp, sp] : [0]) {
+        g.beginPath();
+        g.arc(cx + dx, slotY(f), 5, 0, Math.PI * 2);
+        g.fill();
+      }
+    }
   }
 
-  if (my >= yTabTop && my < yTabTop + tabRows * rowH) {
-    const row = Math.floor((my - yTabTop) / rowH);
-    return { lane: 'tab', col, row: clamp(row, 0, tabRows - 1) };
+  // Frets (thick nut when the window starts at the nut) and strings
+  g.strokeStyle = COLORS.border;
+  for (let k = 0; k <= count; k++) {
+    g.lineWidth = (k === 0 && first === 1) ? 4 : 1;
+    g.beginPath();
+    g.moveTo(left, top + k * fh);
+    g.lineTo(right, top + k * fh);
+    g.stroke();
+  }
+  g.lineWidth = 1;
+  g.strokeStyle = COLORS.text2;
+  for (let r = 0; r < rows; r++) {
+    g.beginPath();
+    g.moveTo(stringX(r), top);
+    g.lineTo(stringX(r), top + count * fh);
+    g.stroke();
   }
 
-  if (showNoteBoard && my >= yNoteTop && my < yNoteTop + tabRows * rowH) {
-    // note board is read-only; clicking it moves cursor to corresponding tab cell
-    const row = Math.floor((my - yNoteTop) / rowH);
-    return { lane: 'tab', col, row: clamp(row, 0, tabRows - 1) };
+  // Fret numbers: the first fret of a box away from the nut; every inlay fret on the neck
+  g.font = '11px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+  g.fillStyle = COLORS.muted;
+  g.textAlign = 'right';
+  g.textBaseline = 'middle';
+  for (let f = first; f < first + count; f++) {
+    if ((compact && f === first && first > 1) || (!compact && FRET_INLAYS.includes(f))) {
+      g.fillText(compact ? `${f}fr` : String(f), left - 12, slotY(f));
+    }
   }
 
-  return null;
-}
+  // Capo
+  if (capo >= first && capo < first + count) {
+    g.fillStyle = COLORS.text2;
+    roundRect(g, left - 6, slotY(capo) - 5, right - left + 12, 10, 5);
+    g.fill();
+  }
 
-function showTooltipAt(x, y, html) {
-  tooltip.style.left = `${x + 10}px`;
-  tooltip.style.top = `${y + 10}px`;
-  tooltip.innerHTML = html;
-  tooltip.style.display = 'block';
+  // Open / unplayed markers above the nut
+  const names = noteNamesAt(colIdx);
+  const root = columnChordRoot(colIdx);
+  g.textAlign = 'center';
+  g.font = '600 12px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+  for (let r = 0; r < rows; r++) {
+    const own = dots.filter(d => d.row === r);
+    const x = stringX(r);
+    const y = top - 14;
+    if (own.some(d => d.written === 0 && d.final)) {
+      const isRoot = own.some(d => d.written === 0 && d.pc === root);
+      g.strokeStyle = isRoot ? COLORS.accent : COLORS.text2;
+      g.lineWidth = 2;
+      g.beginPath();
+      g.arc(x, y, 5, 0, Math.PI * 2);
+      g.stroke();
+      g.lineWidth = 1;
+    } else if (!own.length && dots.length) {
+      g.fillStyle = COLORS.muted;
+      g.fillText('×', x, y);
+    }
+  }
+
+  // Fretted notes: final frets filled (root in the accent colour), earlier frets of a token
+  // (the 5 of 5h7) as rings.
+  g.font = '600 9px "Inter", system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+  for (const d of dots) {
+    if (d.written === 0 || d.fret < first || d.fret >= first + count) continue;
+    const x = stringX(d.row);
+    const y = slotY(d.fret);
+    const r = Math.min(10, sp / 2 - 1, fh / 2 - 2);
+    const color = d.pc === root ? COLORS.accent : COLORS.text2;
+    g.beginPath();
+    g.arc(x, y, r, 0, Math.PI * 2);
+    if (d.final) {
+      g.fillStyle = color;
+      g.fill();
+      g.fillStyle = COLORS.bg1;
+      g.fillText(names[d.pc], x, y + 0.5);
+    } else {
+      g.strokeStyle = color;
+      g.lineWidth = 2;
+      g.stroke();
+      g.lineWidth = 1;
+    }
+  }
+  g.textAlign = 'left';
+  g.textBaseline = 'alphabetic';
+
+  fretPanelGeom = { first, count, left, top, sp, fh, rows, capo };
 }
 
+function fretPanelHit(mx, my) {
+  // { row, written } for a click on the panel: a fret slot, or above the nut for the open string.
+  const G = fretPanelGeom;
+  if (!G) return null;
+  const rr = Math.round((mx - G.left) / G.sp);
+  if (rr < 0 || rr >= G.rows || Math.abs(mx - (G.left + rr * G.sp)) > G.sp / 2) return null;
+  const row = G.rows - 1 - rr;
+  if (my < G.top) return my >= G.top - 28 ? { row, written: 0 } : null;
+  const k = Math.floor((my - G.top) / G.fh);
+  if (k >= G.count) return null;
+  return { row, written: Math.max(0, G.first + k - G.capo) };
+}
 
-function showTooltipForElement(el, html) {
-  if (!el) return;
-  const r = el.getBoundingClientRect();
-  const x = Math.round(r.left + r.width * 0.25);
-  const y = Math.round(r.top + r.height);
-  showTooltipAt(x, y, html);
+if (fretCanvas) {
+  fretCanvas.addEventListener('mousedown', (e) => {
+    const rect = fretCanvas.getBoundingClientRect();
+    const hit = fretPanelHit(e.clientX - rect.left, e.clientY - rect.top);
+    if (!hit) return;
+    e.preventDefault();
+    const col = doc.columns[cursor.col];
+    if (!col || col.divider) return;
+    commitDigitBuffer();
+    cursor.lane = 'tab';
+    cursor.row = hit.row;
+    // Clicking the note that is already there takes it off.
+    const tok = cellToken(col, hit.row);
+    const same = tok === String(hit.written);
+    applyToken(same ? '' : String(hit.written), { stay: true });
+  });
 }
-function hideTooltip() {
-  tooltip.style.display = 'none';
-  tooltip.innerHTML = '';
+
+// -------------------------
+// Chord library
+// -------------------------
+// Voicings are generated for the current tuning and capo rather than looked up, so they fit any
+// instrument. Named voicings of your own live in a local library and travel in the .tabd file
+// (doc.voicings) once used, tied to the open pitches of the tuning they were made for.
+const CHORD_ALIASES = {
+  'M': '', 'maj': '', 'min': 'm', '-': 'm', 'M7': 'maj7', 'Δ': 'maj7', 'Δ7': 'maj7', 'min7': 'm7', '-7': 'm7',
+  'ø': 'm7b5', 'ø7': 'm7b5', 'm7-5': 'm7b5', '°': 'dim', 'o': 'dim', '°7': 'dim7', 'o7': 'dim7', '+': 'aug',
+  'sus': 'sus4', '7sus': '7sus4', 'add2': 'add9', '69': '6/9', 'm69': 'm6/9', 'mM7': 'mMaj7', 'mmaj7': 'mMaj7',
+  'M9': 'maj9', 'M13': 'maj13', '+7': '7#5', '7+': '7#5',
+};
+const VOICING_SPAN = 3;    // frets between the lowest and highest fretted note
+const VOICING_FINGERS = 4; // a barre on the lowest fret counts as one finger
+const VOICING_MAX_POSITION = 12; // highest fret a voicing may start on
+const VOICING_BUDGET = 5000; // search steps per position, so 7- and 8-string chords stay quick
+
+function parseChordName(text) {
+  // 'Am7', 'F#m7b5', 'C/E', 'Bbmaj7' -> { name, root, bass, pattern } | null
+  const m = /^\s*([A-Ga-g])([#b]?)(.*?)\s*(?:\/\s*([A-Ga-g])([#b]?))?\s*$/.exec(String(text || ''));
+  if (!m) return null;
+  const pc = (letter, acc) => (NOTE_PC[letter.toUpperCase()] + (acc === '#' ? 1 : acc === 'b' ? 11 : 0)) % 12;
+  const q = m[3].trim();
+  const quality = CHORD_ALIASES[q] != null ? CHORD_ALIASES[q] : q;
+  const pattern = CHORD_PATTERNS.find(p => p.name === quality);
+  if (!pattern) return null;
+  const rootName = m[1].toUpperCase() + m[2];
+  const bassName = m[4] ? m[4].toUpperCase() + m[5] : null;
+  return {
+    name: rootName + pattern.name + (bassName ? '/' + bassName : ''),
+    root: pc(m[1], m[2]),
+    bass: bassName ? pc(m[4], m[5]) : null,
+    pattern,
+  };
 }
 
-// Canvas events
-canvas.addEventListener('mousedown', (e) => {
-  const rect = canvas.getBoundingClientRect();
-  const mx = e.clientX - rect.left;
-  const my = e.clientY - rect.top;
-  const mh = markerHit(mx, my);
-  if (mh && mh.marker) {
-    // Single click: jump cursor. Double click: rename.
-    cursor.col = clamp(mh.col, 0, doc.columns.length - 1);
-    if (e.detail >= 2) {
-      const name = prompt('Rename marker', mh.marker.name || '');
-      if (name !== null) {
-        pushHistory();
-        const nm = String(name).trim();
-        if (nm) mh.marker.name = nm;
+function generateChordVoicings(chord, limit = 12) {
+  // Playable voicings of a parsed chord on the current tuning: [{ name, frets: [row] -> fret|null }],
+  // best first. Pitches follow the Interpret setting, like chord detection: with a capo, Fingered
+  // names the shape and Sounding names what is heard.
+  const rows = doc.instrument.strings.length;
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  const maxFret = writtenFretLimit(capo);
+  const interpret = doc.view.notesInterpretation;
+  const opens = doc.instrument.strings.map((_, r) => openMidiForRow(r));
+  const required = chord.pattern.ints.map(x => (chord.root + x) % 12);
+  const tones = new Set([...required, ...(chord.pattern.opt || []).map(x => (chord.root + x) % 12)]);
+  const bassPc = chord.bass != null ? chord.bass : chord.root;
+  if (chord.bass != null) tones.add(chord.bass);
+  const minSounding = Math.min(rows, Math.max(required.length, rows >= 4 ? 3 : 2));
+  const pitch = (r, f) => fretToMidi(opens[r], f, capo, interpret);
+  // Re-entrant tunings (ukulele high g, banjo drone) rarely put the root lowest, so there an
+  // inversion only costs instead of ruling the voicing out.
+  const reentrant = opens.some((o, r) => r < rows - 1 && o != null && opens[r + 1] != null && o < opens[r + 1]);
+
+  const found = new Map(); // fret key -> { frets, cost }
+  const frets = new Array(rows).fill(null);
+  const consider = () => {
+    const played = [];
+    for (let r = 0; r < rows; r++) if (frets[r] != null) played.push(r);
+    if (played.length < minSounding) return;
+    const pcs = new Set(played.map(r => pitch(r, frets[r]) % 12));
+    if (!required.every(pc => pcs.has(pc))) return;
+    const low = played.reduce((a, r) => pitch(r, frets[r]) < pitch(a, frets[a]) ? r : a, played[0]);
+    const inverted = pitch(low, frets[low]) % 12 !== bassPc;
+    if (inverted && (!reentrant || chord.bass != null)) return;
+    // Muted strings between sounding ones: at most one, and it costs.
+    const inner = played[played.length - 1] - played[0] + 1 - played.length;
+    if (inner > 1) return;
+    const fretted = played.map(r => frets[r]).filter(f => f > 0);
+    const lo = fretted.length ? Math.min(...fretted) : 0;
+    const hi = fretted.length ? Math.max(...fretted) : 0;
+    const atLo = fretted.filter(f => f === lo).length;
+    const fingers = Math.min(atLo, 1) + fretted.length - atLo;
+    if (fingers > VOICING_FINGERS) return;
+    const key = frets.map(f => f == null ? 'x' : f).join(',');
+    if (found.has(key)) return;
+    // Lower is better: muted bass strings are routine, muted top and inner strings less so;
+    // then missing optional tones, position, stretch and fingers. Open strings help in the
+    // first position and get in the way higher up.
+    const missing = [...tones].filter(pc => !pcs.has(pc)).length;
+    const topMutes = played[0];
+    const bassMutes = rows - 1 - played[played.length - 1];
+    const open = played.length - fretted.length;
+    const cost = bassMutes + topMutes * 1.5 + inner * 3 + missing * 0.5 + lo * 0.25 + (hi - lo) * 0.3 + (hi - lo >= VOICING_SPAN ? 0.6 : 0) +
+      fingers * 0.2 + open * (lo > 4 ? 0.4 : -0.1) + (inverted ? 1 : 0);
+    found.set(key, { frets: [...frets], cost });
+  };
+  // Required tones not yet on a string: a branch with fewer strings left than that is dropped.
+  const covered = new Map(required.map(pc => [pc, 0]));
+  let uncovered = covered.size;
+  // `gap` counts strings muted since the last sounding one; they become inner mutes when another
+  // string sounds, and consider() allows only one. Sounding frets are tried before muting, so a
+  // search cut short by the budget has already seen the fuller shapes.
+  let budget = 0;
+  const walk = (r, lo, played, gap) => {
+    if (budget-- <= 0 || played + rows - r < minSounding || uncovered > rows - r) return;
+    if (r === rows) { consider(); return; }
+    if (!played || gap <= 1) {
+      const options = [0];
+      for (let f = Math.max(1, lo); f <= Math.min(maxFret, lo + VOICING_SPAN); f++) options.push(f);
+      for (const f of options) {
+        const pc = opens[r] == null ? null : pitch(r, f) % 12;
+        if (pc == null || !tones.has(pc)) continue;
+        const need = covered.has(pc);
+        if (need && covered.get(pc) === 0) uncovered--;
+        if (need) covered.set(pc, covered.get(pc) + 1);
+        frets[r] = f;
+        walk(r + 1, lo, played + 1, 0);
+        if (need) covered.set(pc, covered.get(pc) - 1);
+        if (need && covered.get(pc) === 0) uncovered++;
       }
     }
-    render();
-    return;
+    frets[r] = null;
+    walk(r + 1, lo, played, played ? gap + 1 : 0);
+  };
+  for (let lo = 1; lo <= Math.max(1, Math.min(maxFret - 1, VOICING_MAX_POSITION)); lo++) {
+    budget = VOICING_BUDGET;
+    walk(0, lo, 0, 0);
   }
-  const hit = canvasToCell(mx, my);
-  if (!hit) return;
 
-  // Begin possible drag-selection (columns). We only commit to selection if the
-  // pointer moves horizontally beyond a small threshold.
-  _mouseDown = true;
-  _dragging = false;
-  _downHit = hit;
-  _downX = mx;
-  _downY = my;
+  return [...found.values()]
+    .sort((a, b) => a.cost - b.cost)
+    .slice(0, limit)
+    .map(v => ({ name: chord.name, frets: v.frets }));
+}
 
-  // Don't clear existing selection yet; allow click (no drag) to behave exactly as before.
-});
+function voicingText(frets) {
+  // Low string first, as chord charts write it: 'x 0 2 2 1 0'.
+  return [...frets].reverse().map(f => f == null ? 'x' : String(f)).join(' ');
+}
 
+function isVoicing(v) {
+  // { name, frets: [row] -> fret|null, pitches: open pitches of the tuning it was made for }
+  return !!(v && typeof v.name === 'string' && Array.isArray(v.frets) && Array.isArray(v.pitches));
+}
 
-// Right-click marker to delete (no confirmation)
-canvas.addEventListener('contextmenu', (e) => {
-  const rect = canvas.getBoundingClientRect();
-  const mx = e.clientX - rect.left;
-  const my = e.clientY - rect.top;
-  const mh = markerHit(mx, my);
-  if (mh && mh.marker) {
-    e.preventDefault();
-    pushHistory();
-    ensureMarkers();
-    doc.markers = doc.markers.filter(m => m && (mh.marker.id ? m.id !== mh.marker.id : m !== mh.marker));
-    render();
-    return;
+function loadUserVoicings() {
+  try {
+    const raw = localStorage.getItem(LS_USER_VOICINGS);
+    const lib = raw ? JSON.parse(raw) : [];
+    return Array.isArray(lib) ? lib.filter(isVoicing) : [];
+  } catch (_) {
+    return [];
   }
-});
-window.addEventListener('mouseup', (e) => {
-  if (!_mouseDown) return;
-  _mouseDown = false;
+}
 
-  // If we did not drag, treat this as a normal click-to-cursor.
-  if (!_dragging && _downHit) {
-    clearDigitBuffer();
+function saveUserVoicing(voicing) {
+  const lib = loadUserVoicings().filter(v => !(v.name === voicing.name && v.pitches.join() === voicing.pitches.join()));
+  lib.push(voicing);
+  try { localStorage.setItem(LS_USER_VOICINGS, JSON.stringify(lib)); } catch (_) {}
+}
 
-    // Keep an existing column selection when clicking inside it (DAW-style),
-    // but clear it when clicking outside the selected range.
-    if (colSel) {
-      const a = Math.min(colSel.startCol, colSel.endCol);
-      const b = Math.max(colSel.startCol, colSel.endCol);
-      if (_downHit.col < a || _downHit.col > b) {
-        clearColSel();
-      }
-    }
+function deleteUserVoicing(voicing) {
+  const lib = loadUserVoicings().filter(v => !(v.name === voicing.name && v.pitches.join() === voicing.pitches.join()));
+  try { localStorage.setItem(LS_USER_VOICINGS, JSON.stringify(lib)); } catch (_) {}
+}
 
-    cursor.col = _downHit.col;
-    if (_downHit.lane === 'strum') {
-      cursor.lane = 'strum';
-    } else {
-      cursor.lane = 'tab';
-      cursor.row = _downHit.row ?? 0;
+function userVoicingsForTuning() {
+  // Your voicings for the current open pitches: the library plus the ones saved in this document.
+  const tuning = doc.instrument.pitches.join();
+  const out = [];
+  const own = Array.isArray(doc.voicings) ? doc.voicings.filter(isVoicing) : [];
+  for (const v of [...loadUserVoicings(), ...own]) {
+    if (v.pitches.join() !== tuning || out.some(o => o.name === v.name)) continue;
+    out.push(v);
+  }
+  return out;
+}
+
+function applyVoicing(voicing) {
+  // Fill the cursor column with a voicing and move on, like typing a fret.
+  const c = cursor.col;
+  if (!insertMode && doc.columns[c] && doc.columns[c].divider) return;
+  pushHistory();
+  if (insertMode) {
+    doc.columns.splice(c, 0, { notes: [], strum: '' });
+    shiftMarkers(c, 1);
+  }
+  doc.columns[c].notes = voicing.frets.map(f => f == null ? null : { fret: f });
+  if (voicing.pitches) {
+    // A voicing of your own travels with the song.
+    if (!Array.isArray(doc.voicings)) doc.voicings = [];
+    if (!doc.voicings.some(v => v.name === voicing.name && v.pitches.join() === voicing.pitches.join())) {
+      doc.voicings.push(deepClone(voicing));
     }
-    render();
   }
+  cursor.lane = 'tab';
+  cursor.col = clamp(c + 1, 0, doc.columns.length - 1);
+  render();
+}
 
-  _dragging = false;
-  _downHit = null;
-});
+// -------------------------
+// Transpose
+// -------------------------
+// Frets move by whole notes: every fret in "5h7" or "7b9" shifts together and the techniques
+// and marks stay put. A note that would leave the neck moves to the nearest free string that can
+// hold all of its pitches; one that fits nowhere is left as it was and reported. Natural
+// harmonics only sound at their nodes, so they move only to a node that sounds the new pitch.
+
+function shiftNote(note, shift, maxFret) {
+  // A copy of a fretted note `shift` semitones higher on its string ("5h7" +2 -> "7h9"), which is
+  // also the same pitch on a string `shift` semitones lower; null when it leaves the neck.
+  // Transpose, re-tab and re-finger all move notes through here.
+  if (shift === 0) return deepClone(note);
+  if (note.harmonic) {
+    const fret = harmonicNodeFret(harmonicSemitones(note.fret) + shift, maxFret);
+    return fret == null ? null : { ...deepClone(note), fret };
+  }
+  if (!noteFrets(note).every(f => f + shift >= 0 && f + shift <= maxFret)) return null;
+  const out = deepClone(note);
+  out.fret += shift;
+  for (const st of out.steps || []) st.fret += shift;
+  return out;
+}
 
-// Mouse move: either drag-select columns (snap) or show hover tooltip (existing behavior)
-canvas.addEventListener('mousemove', (e) => {
-  const rect = canvas.getBoundingClientRect();
-  const mx = e.clientX - rect.left;
-  const my = e.clientY - rect.top;
+function movableNote(note, row) {
+  // Notes with a pitch to keep; dead notes, text that doesn't parse and strings with no known
+  // pitch stay where they are.
+  return !!note && note.raw == null && note.fret != null && openMidiForRow(row) != null;
+}
 
-  // Drag-select columns
-  if (_mouseDown && _downHit) {
-    const dx = mx - _downX;
-    const dy = my - _downY;
-    if (!_dragging) {
-      // Commit to drag-selection when movement exceeds a small threshold in ANY direction.
-      // (Allows vertical drags to select a single column without requiring horizontal motion.)
-      if (Math.abs(dx) >= _DRAG_THRESH_PX || Math.abs(dy) >= _DRAG_THRESH_PX) {
-        _dragging = true;
-        // Start new selection at the mousedown column
-        colSel = { startCol: _downHit.col, endCol: _downHit.col };
-      }
-    }
+function writtenFretLimit(capo, type = doc.instrument.type) {
+  // Highest fret that can be written above a capo on an instrument.
+  return Math.max(0, instrumentDef(type).frets - capo);
+}
 
-    if (_dragging) {
-      const hit = canvasToCell(mx, my);
-      if (hit) {
-        const a = Math.min(_downHit.col, hit.col);
-        const b = Math.max(_downHit.col, hit.col);
-        colSel = { startCol: a, endCol: b };
-        hideTooltip();
-        render();
-      }
-      return;
+function transposeColumn(colIdx, delta, maxFret) {
+  // Shift every note of a column by `delta` semitones. Returns the cells that could not be placed:
+  // [{ col, row, token }].
+  const col = doc.columns[colIdx];
+  if (!col || col.divider) return [];
+  const rows = doc.instrument.strings.length;
+  const next = new Array(rows).fill(null);
+  const pending = [];
+  for (let r = 0; r < rows; r++) {
+    const note = col.notes[r];
+    if (note == null) continue;
+    const moved = movableNote(note, r) ? shiftNote(note, delta, maxFret) : note;
+    if (moved) next[r] = moved;
+    else pending.push({ row: r, note });
+  }
+  // Strings whose own note is still waiting are not offered to others, so an unplaced note can
+  // always go back where it was.
+  const waiting = new Set(pending.map(p => p.row));
+  const unplaced = [];
+  for (const p of pending) {
+    let best = null;
+    for (let s = 0; s < rows; s++) {
+      if (next[s] != null || waiting.has(s) || openMidiForRow(s) == null) continue;
+      const moved = shiftNote(p.note, delta + openMidiForRow(p.row) - openMidiForRow(s), maxFret);
+      const dist = Math.abs(s - p.row);
+      if (moved && (!best || dist < best.dist)) best = { s, moved, dist };
+    }
+    if (best) {
+      next[best.s] = best.moved;
+      waiting.delete(p.row);
+    } else {
+      next[p.row] = p.note;
+      unplaced.push({ col: colIdx, row: p.row, token: formatNote(p.note) });
     }
   }
+  col.notes = next;
+  return unplaced;
+}
 
-  // Hover tooltip (unchanged)
-  if (doc.view.notesMode !== 'hover') { hideTooltip(); return; }
-
-  const hit = canvasToCell(mx, my);
-  if (!hit || hit.lane !== 'tab') { hideTooltip(); return; }
+function transposeChordName(name, delta, names = CHROMATIC_SHARPS) {
+  // 'F#m7/C#' +1 -> 'Gm7/D'. Anything that doesn't start with a note name is kept as written.
+  const m = /^([A-G][#b]?)(.*?)(?:\/([A-G][#b]?))?$/.exec(String(name || '').trim());
+  if (!m) return name;
+  const move = (n) => {
+    const pc = NOTE_PC[n[0]] + (n[1] === '#' ? 1 : n[1] === 'b' ? -1 : 0) + delta;
+    return names[((pc % 12) + 12) % 12];
+  };
+  return move(m[1]) + m[2] + (m[3] ? '/' + move(m[3]) : '');
+}
 
-  const s = doc.instrument.strings[hit.row];
-  const info = deriveHoverNoteInfo(s, hit.col);
-  if (!info) { hideTooltip(); return; }
+function transposeKeyName(text, delta) {
+  const key = parseKey(text);
+  return key ? formatKey({ tonic: ((key.tonic + delta) % 12 + 12) % 12, minor: key.minor }) : text;
+}
 
-  const prog = info.notes.length > 1 ? info.notes.join(' → ') : info.notes[0];
+function transposeRange(start, end, delta) {
+  // Transpose columns start..end by `delta` semitones, with their hand-set chord labels. When the
+  // whole song moves, the song and section keys move with it. Returns the unplaced cells.
   const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
-  const capoLine = capo > 0 ? `<div class="muted">Capo: ${capo} · Interpret: ${doc.view.notesInterpretation}</div>` : `<div class="muted">Interpret: ${doc.view.notesInterpretation}</div>`;
+  const maxFret = writtenFretLimit(capo);
+  const unplaced = [];
+  for (let c = start; c <= end; c++) unplaced.push(...transposeColumn(c, delta, maxFret));
+  if (start <= 0 && end >= doc.columns.length - 1) {
+    if (doc.key) doc.key = transposeKeyName(doc.key, delta);
+    for (const m of (doc.markers || [])) {
+      if (m && m.key) m.key = transposeKeyName(m.key, delta);
+    }
+  }
+  // Labels are spelled for the new key, so keys are settled first.
+  keyCache.clear();
+  for (let c = start; c <= end; c++) {
+    const col = doc.columns[c];
+    if (col && col.chord) col.chord = transposeChordName(col.chord, delta, noteNamesAt(c));
+  }
+  return unplaced;
+}
 
-  showTooltipAt(mx, my, `
-    <div><span class="mono">${s}</span> · <span class="mono">${info.token}</span></div>
-    <div class="muted">Notes</div>
-    <div class="mono">${prog}</div>
-    ${capoLine}
-  `);
-});
+function setCapoKeepPitches(newCapo) {
+  // Move the capo and re-fret the whole song so every note still sounds the same: capo 0 turns a
+  // capo part into open-string fingering, a higher capo lowers the written frets.
+  const oldCapo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  const capo = clamp(newCapo, 0, 12);
+  const maxFret = writtenFretLimit(capo);
+  const unplaced = [];
+  for (let c = 0; c < doc.columns.length; c++) {
+    unplaced.push(...transposeColumn(c, oldCapo - capo, maxFret));
+  }
+  doc.capo.fret = capo;
+  keyCache.clear();
+  return unplaced;
+}
 
-canvas.addEventListener('mouseleave', () => hideTooltip());
+function unplacedReport(unplaced, outcome = 'left unchanged') {
+  // Alert text listing notes that found no string: [{ col, row, token, label? }].
+  const lines = unplaced.slice(0, 12).map(u => `Column ${u.col + 1}, string ${u.label || stringLabelAt(u.row)}: ${u.token}`);
+  if (unplaced.length > 12) lines.push(`...and ${unplaced.length - 12} more`);
+  return `${unplaced.length} note${unplaced.length === 1 ? '' : 's'} did not fit on any string and ${unplaced.length === 1 ? 'was' : 'were'} ${outcome}:\n\n${lines.join('\n')}`;
+}
 
-// Keyboard events
-window.addEventListener('keydown', (e) => {
+// -------------------------
+// Playability
+// -------------------------
+// Flags what a hand can't play as written: frets past the end of the neck, shapes wider than
+// the stretch or needing more fingers than the hand has, and cells that don't parse (usually a
+// digit-buffer typo such as 25 for 2 then 5). The limits are a local preference.
+const PLAYABILITY_DEFAULTS = { stretch: 4, fingers: 4 };
 
-  // Column range selection (Step 1)
-  if (e.key === 'Escape') {
-    if (colSel) { clearColSel(); render(); }
-    return;
-  }
-  // Undo/redo
-  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
-    e.preventDefault();
-    if (e.shiftKey) redo(); else undo();
-    return;
-  }
-  if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 'y')) {
-    e.preventDefault();
-    redo();
-    return;
-  }
-  // Clipboard (Step 2)
-  if ((e.ctrlKey || e.metaKey) && !e.altKey) {
-    const ae = document.activeElement;
-    const tag = ae ? ae.tagName : '';
-    const isText = ae && (tag === 'INPUT' || tag === 'TEXTAREA' || ae.isContentEditable);
-    if (!isText) {
-      const k = e.key.toLowerCase();
-      const getSel = () => {
-        if (colSel) return { start: Math.min(colSel.startCol, colSel.endCol), end: Math.max(colSel.startCol, colSel.endCol) };
-        return null;
-      };
-      if (k === 'c') {
-        const r = getSel();
-        if (!r) return; // nothing selected
-        e.preventDefault();
-        colClip = deepClone(doc.columns.slice(r.start, r.end + 1));
-        return;
-      }
-      if (k === 'x') {
-        const r = getSel();
-        if (!r) return;
-        e.preventDefault();
-        pushHistory();
-        colClip = deepClone(doc.columns.slice(r.start, r.end + 1));
-        const removedCount = (r.end - r.start + 1);
-        doc.columns.splice(r.start, removedCount);
-        removeMarkersInRange(r.start, r.end);
-        shiftMarkers(r.end + 1, -removedCount);
-        if (doc.columns.length === 0) doc.columns.push({ notes: {}, strum: '' });
-        cursor.col = clamp(r.start, 0, doc.columns.length - 1);
-        clearColSel();
-        render();
-        return;
-      }
-      if (k === 'v') {
-        if (!hasClip()) return;
-        e.preventDefault();
-        pushHistory();
-        const r = getSel();
-        const insertAt = r ? r.start : clamp(cursor.col, 0, doc.columns.length);
-        const payload = deepClone(colClip);
-        doc.columns.splice(insertAt, 0, ...payload);
-        shiftMarkers(insertAt, payload.length);
-        colSel = { startCol: insertAt, endCol: insertAt + payload.length - 1 };
-        cursor.col = clamp(insertAt, 0, doc.columns.length - 1);
-        render();
-        return;
-      }
-      if (k === 'd') {
-        e.preventDefault();
-        pushHistory();
-        let r = getSel();
-        if (!r) r = { start: cursor.col, end: cursor.col };
-        const payload = deepClone(doc.columns.slice(r.start, r.end + 1));
-        const insertAt = clamp(r.end + 1, 0, doc.columns.length);
-        doc.columns.splice(insertAt, 0, ...payload);
-        shiftMarkers(insertAt, payload.length);
-        colSel = { startCol: insertAt, endCol: insertAt + payload.length - 1 };
-        cursor.col = clamp(insertAt, 0, doc.columns.length - 1);
-        render();
-        return;
-      }
-    }
+function loadPlayabilityOptions() {
+  try {
+    const raw = localStorage.getItem(LS_PLAYABILITY);
+    const saved = raw ? JSON.parse(raw) : {};
+    return { ...PLAYABILITY_DEFAULTS, ...(saved && typeof saved === 'object' ? saved : {}) };
+  } catch (_) {
+    return { ...PLAYABILITY_DEFAULTS };
   }
+}
 
+function savePlayabilityOptions(opts) {
+  try { localStorage.setItem(LS_PLAYABILITY, JSON.stringify(opts)); } catch (_) {}
+}
 
-  // Mode toggles
-  if (!e.ctrlKey && !e.metaKey) {
-    if (e.key.toLowerCase() === 'c') {
-      e.preventDefault();
-      commitDigitBuffer();
-      chordStack = !chordStack;
-      updateModeBadge();
-      render();
-      return;
+let playability = loadPlayabilityOptions();
+
+function reachedFrets(note) {
+  // The first fret plus hammer-on/pull-off targets, up to the first slide (which moves the hand).
+  const frets = [note.fret];
+  for (const st of note.steps || []) {
+    if (st.tech !== 'hammer' && st.tech !== 'pull') break;
+    frets.push(st.fret);
+  }
+  return frets;
+}
+
+function columnPlayabilityIssues(colIdx, opts = playability) {
+  // [{ col, row, kind, message }] for one column. kind is 'token' (doesn't parse), 'range'
+  // (past the last fret), 'stretch' or 'fingers'; the last two are about the whole shape and
+  // have row null. The shape is what the hand holds as the column is struck: each string's
+  // first fret plus hammer-on/pull-off targets, but not slide or bend destinations.
+  const col = doc.columns[colIdx];
+  const issues = [];
+  if (!col || col.divider) return issues;
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  const maxFret = writtenFretLimit(capo);
+  const neck = instrumentDef(doc.instrument.type).frets;
+  const held = [];  // first fret per string
+  const reach = []; // every fret the hand reaches for
+  for (let r = 0; r < doc.instrument.strings.length; r++) {
+    const tok = cellToken(col, r);
+    if (!tok) continue;
+    const error = noteError(col.notes[r]);
+    if (error) {
+      issues.push({ col: colIdx, row: r, kind: 'token', message: error });
+      continue;
     }
-    if (e.key.toLowerCase() === 'i') {
-      e.preventDefault();
-      commitDigitBuffer();
-      insertMode = !insertMode; // stub only
-      updateModeBadge();
-      render();
-      return;
+    const { frets, ok } = tokenToFrets(tok);
+    if (!ok) continue; // dead note
+    const over = frets.filter(f => f > maxFret);
+    if (over.length) {
+      const where = capo ? `above capo ${capo} is past fret ${neck}` : `is past fret ${neck}`;
+      const split = /^\d\d$/.test(tok) ? ` (${tok[0]} then ${tok[1]}?)` : '';
+      issues.push({ col: colIdx, row: r, kind: 'range', message: `Fret ${Math.max(...over)} ${where}${split}` });
+      continue;
     }
+    const legato = reachedFrets(col.notes[r]);
+    if (legato[0] > 0) held.push(legato[0]);
+    reach.push(...legato.filter(f => f > 0));
   }
 
-  // Navigation
-  if (e.key === 'ArrowLeft') { e.preventDefault(); moveCursor(-1, 0); return; }
-  if (e.key === 'ArrowRight') { e.preventDefault(); moveCursor(1, 0); return; }
-  if (e.key === 'ArrowUp') {
-    e.preventDefault();
-    if (cursor.lane === 'strum') {
-      focusTabLane();
-    } else {
-      moveCursor(0, -1);
+  if (reach.length > 1) {
+    const lo = Math.min(...reach);
+    const hi = Math.max(...reach);
+    if (hi - lo > opts.stretch) {
+      issues.push({ col: colIdx, row: null, kind: 'stretch', message: `Frets ${lo}–${hi} are ${hi - lo} apart (stretch ${opts.stretch})` });
     }
-    return;
   }
-  if (e.key === 'ArrowDown') {
-    e.preventDefault();
-    if (cursor.lane === 'tab' && cursor.row === doc.instrument.strings.length - 1) {
-      // keep within tab
-      moveCursor(0, 0);
-    } else {
-      moveCursor(0, 1);
+  if (held.length) {
+    // As for generated voicings, a barre across the lowest fret takes one finger.
+    const lo = Math.min(...held);
+    const atLo = held.filter(f => f === lo).length;
+    const fingers = Math.min(atLo, 1) + held.length - atLo;
+    if (fingers > opts.fingers) {
+      issues.push({ col: colIdx, row: null, kind: 'fingers', message: `Needs ${fingers} fingers (${opts.fingers} available)` });
     }
-    return;
   }
+  return issues;
+}
 
-  if (e.key === 'Tab') {
-    e.preventDefault();
-    commitDigitBuffer();
-    cursor.col = clamp(cursor.col + (e.shiftKey ? -1 : 1), 0, doc.columns.length - 1);
-    render();
+// Issues for the whole song, kept until the next edit: render() runs on every cursor move, and
+// edits go through pushHistory() (or replace the document), which drop them.
+let playabilityCache = null; // { doc, issues }
+
+function playabilityIssues() {
+  if (playabilityCache && playabilityCache.doc === doc) return playabilityCache.issues;
+  const issues = [];
+  for (let c = 0; c < doc.columns.length; c++) issues.push(...columnPlayabilityIssues(c));
+  playabilityCache = { doc, issues };
+  return issues;
+}
+
+function playabilityIssueText(issue) {
+  // "Col 12 · B: Fret 25 is past fret 24" for the list and the cursor readout.
+  const where = issue.row == null ? `Col ${issue.col + 1}` : `Col ${issue.col + 1} · ${stringLabelAt(issue.row)}`;
+  return `${where}: ${issue.message}`;
+}
+
+let playPanelOpen = false;
+let playPanelIssues = []; // issues listed, in order
+let playListBuilt = null;  // the issues playList was last built from
+
+function renderPlayPanel(issues) {
+  // The toolbar button carries the count; the panel lists every issue while it's open.
+  if (playabilityBtn) {
+    playabilityBtn.textContent = issues.length ? `Playability · ${issues.length}` : 'Playability';
+    playabilityBtn.classList.toggle('active', playPanelOpen);
+  }
+  if (!playPanel) return;
+  playPanel.hidden = !playPanelOpen;
+  playPanelIssues = issues;
+  if (!playPanelOpen) return;
+
+  playPanelCount.textContent = issues.length ? `${issues.length} warning${issues.length === 1 ? '' : 's'}` : 'All playable';
+  if (document.activeElement !== stretchInput) stretchInput.value = playability.stretch;
+  if (document.activeElement !== fingersInput) fingersInput.value = playability.fingers;
+  if (issues === playListBuilt) {
+    // Same issues: only the cursor's highlight moves.
+    Array.from(playList.children).forEach((b, i) => b.classList.toggle('active', issues[i].col === cursor.col));
     return;
   }
+  playListBuilt = issues;
+  playList.textContent = '';
+  issues.forEach((issue, i) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'btn panelItem' + (issue.col === cursor.col ? ' active' : '');
+    b.dataset.index = String(i);
+    b.textContent = playabilityIssueText(issue);
+    playList.appendChild(b);
+  });
+}
 
-  if (e.key === 'Enter') {
+if (playList) {
+  playList.addEventListener('mousedown', (e) => {
+    const b = e.target.closest('button');
+    const issue = b && playPanelIssues[parseInt(b.dataset.index, 10)];
+    if (!issue) return;
+    // Keep keyboard focus on the editor so typing carries on at the issue.
     e.preventDefault();
     commitDigitBuffer();
-    if (cursor.lane === 'tab') {
-      cursor.row = clamp(cursor.row + (e.shiftKey ? -1 : 1), 0, doc.instrument.strings.length - 1);
-      render();
-    }
-    return;
+    clearColSel();
+    cursor.lane = 'tab';
+    cursor.col = issue.col;
+    if (issue.row != null) cursor.row = issue.row;
+    scrollColumnIntoView(issue.col);
+    render();
+  });
+}
+
+// -------------------------
+// Re-fingering
+// -------------------------
+// Other string/fret assignments for the same pitches across a selected phrase. Each column's
+// possible shapes are enumerated within the playability limits, then a path through the
+// columns is chosen for one goal: least hand movement, staying in one four-fret position, or
+// using open strings. Candidates are previewed in the document itself and put back on cancel.
+const REFINGER_BOX = 3;     // frets a position covers above its first fret
+const REFINGER_STATES = 48; // shapes kept per column
+const REFINGER_POSITIONS = 3; // one-position candidates offered
+
+let refinger = null; // { doc, start, end, original: [notes per column], candidates, active }
+
+function refingerColumnOptions(col, maxFret) {
+  // Shapes for one column: [{ notes, lo, hi, open, moved }], the written shape first. Cells with
+  // no fret (dead notes, text that doesn't parse) keep their string; natural harmonics only
+  // move to a node that sounds the same pitch.
+  const rows = doc.instrument.strings.length;
+  const base = new Array(rows).fill(null);
+  const moving = [];
+  for (let r = 0; r < rows; r++) {
+    const note = col.notes[r];
+    if (note == null) continue;
+    if (movableNote(note, r)) moving.push({ row: r, note });
+    else base[r] = note;
   }
+  const shape = (notes) => {
+    // As in columnPlayabilityIssues: the span covers hammer-on/pull-off targets, the finger
+    // count the frets held as the column is struck.
+    const held = [];
+    const reach = [];
+    let open = 0;
+    notes.forEach((note, r) => {
+      if (note == null || base[r] != null) return;
+      const legato = reachedFrets(note);
+      if (legato[0] > 0) held.push(legato[0]); else open++;
+      reach.push(...legato.filter(f => f > 0));
+    });
+    const lo = reach.length ? Math.min(...reach) : null;
+    const hi = reach.length ? Math.max(...reach) : null;
+    const heldLo = Math.min(...held);
+    const atLo = held.filter(f => f === heldLo).length;
+    const fingers = Math.min(atLo, 1) + held.length - atLo;
+    return { lo, hi, open, fingers };
+  };
 
-  // Backspace: prevent browser history navigation while editing, but do not erase.
-  if (e.key === 'Backspace') {
-    e.preventDefault();
-    clearDigitBuffer();
-    return;
-  }
-
-  // Delete: erase the current selection.
-  if (e.key === 'Delete') {
-    e.preventDefault();
-    clearDigitBuffer();
-
-    // If a column-range selection exists, erase it.
-    if (colSel) {
-      pushHistory();
-      const a0 = Math.min(colSel.startCol, colSel.endCol);
-      const b0 = Math.max(colSel.startCol, colSel.endCol);
+  const written = base.slice();
+  moving.forEach(m => { written[m.row] = m.note; });
+  const options = [{ notes: written, ...shape(written), moved: 0 }];
+  const keyOf = (notes) => notes.map(formatNote).join('|');
+  const seen = new Set([keyOf(written)]);
+  const notes = base.slice();
+  let budget = 4000;
+  const place = (i, moved) => {
+    if (budget <= 0) return;
+    if (i === moving.length) {
+      budget--;
+      const key = keyOf(notes);
+      if (seen.has(key)) return;
+      const s = shape(notes);
+      if (s.lo != null && (s.hi - s.lo > playability.stretch || s.fingers > playability.fingers)) return;
+      seen.add(key);
+      options.push({ notes: notes.slice(), ...s, moved });
+      return;
+    }
+    const m = moving[i];
+    for (let s = 0; s < rows; s++) {
+      if (notes[s] != null || openMidiForRow(s) == null) continue;
+      const shifted = shiftNote(m.note, openMidiForRow(m.row) - openMidiForRow(s), maxFret);
+      if (!shifted) continue;
+      notes[s] = shifted;
+      place(i + 1, moved + (s === m.row ? 0 : 1));
+      notes[s] = null;
+    }
+  };
+  place(0, 0);
+  // The written shape stays first; the rest go compact shapes first so the cap keeps the best.
+  const span = (o) => (o.lo == null ? 0 : o.hi - o.lo);
+  return [options[0], ...options.slice(1).sort((a, b) => span(a) - span(b) || a.moved - b.moved)];
+}
 
-      // 1) Remove divider columns inside the selection (structural delete)
-      for (let i = b0; i >= a0; i--) {
-        if (doc.columns[i] && doc.columns[i].divider) {
-          doc.columns.splice(i, 1);
-          shiftMarkers(i, -1);
-        }
+function refingerPath(options, shapeCost, moveWeight) {
+  // Cheapest shape per column, where moving the hand between columns costs moveWeight per fret
+  // of the shapes' centres. Open-only columns leave the hand where it was.
+  const centre = (o) => (o.lo == null ? null : (o.lo + o.hi) / 2);
+  let prev = null;
+  const back = [];
+  for (const opts of options) {
+    const cost = opts.map(o => shapeCost(o) + o.moved * 0.05);
+    const hand = opts.map(centre);
+    if (prev) {
+      const from = [];
+      for (let j = 0; j < opts.length; j++) {
+        let best = Infinity;
+        let at = 0;
+        prev.opts.forEach((p, i) => {
+          const a = prev.hand[i];
+          const b = hand[j];
+          const c = prev.cost[i] + (a == null || b == null ? 0 : Math.abs(a - b) * moveWeight);
+          if (c < best) { best = c; at = i; }
+        });
+        cost[j] += best;
+        if (hand[j] == null) hand[j] = prev.hand[at];
+        from.push(at);
       }
+      back.push(from);
+    }
+    prev = { opts, cost, hand };
+  }
+  if (!prev) return { cost: 0, notes: [] };
+  let j = prev.cost.indexOf(Math.min(...prev.cost));
+  const total = prev.cost[j];
+  const picks = [j];
+  for (let k = back.length - 1; k >= 0; k--) {
+    j = back[k][j];
+    picks.unshift(j);
+  }
+  return { cost: total, notes: picks.map((p, k) => options[k][p].notes) };
+}
 
-      // 2) Clear contents of remaining columns that were in the original selection span
-      // (after divider deletions, indices may have shifted; we re-compute a safe span)
-      const a = clamp(a0, 0, doc.columns.length - 1);
-      const b = clamp(b0, 0, doc.columns.length - 1);
+function refingerCandidates(start, end) {
+  // [{ label, detail, notes: [notes per column] }], best first, none equal to the written tab.
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  const maxFret = writtenFretLimit(capo);
+  const cols = doc.columns.slice(start, end + 1);
+  const options = cols.map(col => (col.divider ? [{ notes: col.notes, lo: null, hi: null, open: 0, moved: 0 }]
+    : refingerColumnOptions(col, maxFret).slice(0, REFINGER_STATES)));
+  const span = (o) => (o.lo == null ? 0 : o.hi - o.lo);
+
+  const found = [];
+  const movement = refingerPath(options, o => span(o) * 0.5, 1);
+  found.push({ label: 'Least movement', notes: movement.notes });
+  const open = refingerPath(options, o => span(o) * 0.3 + (o.lo || 0) * 0.05 - o.open, 0.3);
+  found.push({ label: 'Open strings', notes: open.notes });
+  const positions = [];
+  for (let p = 1; p + REFINGER_BOX <= maxFret; p++) {
+    const outside = (o) => (o.lo == null ? 0 : Math.max(0, p - o.lo) + Math.max(0, o.hi - p - REFINGER_BOX));
+    positions.push({ p, ...refingerPath(options, o => outside(o) * 2 + span(o) * 0.1, 0.2) });
+  }
+  positions.sort((a, b) => a.cost - b.cost || a.p - b.p);
+  for (const pos of positions.slice(0, REFINGER_POSITIONS * 4)) {
+    found.push({ label: `Position ${pos.p}`, notes: pos.notes });
+  }
 
-      for (let i = a; i <= b; i++) {
-        const col = doc.columns[i];
-        if (!col || col.divider) continue;
-        col.strum = '';
-        col.notes = {};
-      }
+  const rows = doc.instrument.strings.length;
+  const keyOf = (notes) => notes.map(n => Array.from({ length: rows }, (_, r) => formatNote(n[r])).join('|')).join('/');
+  const seen = new Set([keyOf(cols.map(col => col.notes))]);
+  const out = [];
+  let positionsKept = 0;
+  for (const cand of found) {
+    const notes = cand.notes.map(n => n.slice());
+    const key = keyOf(notes);
+    if (seen.has(key)) continue;
+    if (cand.label.startsWith('Position') && positionsKept++ >= REFINGER_POSITIONS) continue;
+    seen.add(key);
+    out.push({ label: cand.label, detail: refingerDetail(notes), notes });
+  }
+  return out;
+}
 
-      cursor.col = clamp(a, 0, doc.columns.length - 1);
-      render();
-      return;
+function refingerDetail(notes) {
+  // "frets 5–8 · 2 open" for the candidate list.
+  const fretted = [];
+  let open = 0;
+  for (const cells of notes) {
+    for (const note of cells) {
+      if (note == null || note.raw != null || note.fret == null) continue;
+      noteFrets(note).forEach(n => { if (n > 0) fretted.push(n); else open++; });
     }
-
-    // No range selection: normal delete behavior (cell-level)
-    clearCell();
-    return;
   }
-
-  // Lane jumps
-  if (e.key === 'Escape') {
-    e.preventDefault();
-    clearDigitBuffer();
-    hideTooltip();
-    return;
+  const parts = [];
+  if (fretted.length) {
+    const lo = Math.min(...fretted);
+    const hi = Math.max(...fretted);
+    parts.push(lo === hi ? `fret ${lo}` : `frets ${lo}–${hi}`);
   }
+  if (open) parts.push(`${open} open`);
+  return parts.join(' · ');
+}
 
-  // Strum shortcuts (when in strum lane, or always if user types uppercase)
-  if (e.key.toLowerCase() === 'd') {
-    e.preventDefault();
-    clearDigitBuffer();
-    if (cursor.lane !== 'strum') focusStrumLane();
-    applyToken('↓');
-    return;
+function previewRefinger(index) {
+  // Write candidate `index` into the phrase (no history; the written tab is kept in refinger).
+  if (!refinger) return;
+  refinger.active = clamp(index, 0, refinger.candidates.length - 1);
+  const cand = refinger.candidates[refinger.active];
+  cand.notes.forEach((notes, k) => { doc.columns[refinger.start + k].notes = deepClone(notes); });
+  playabilityCache = null;
+  render();
+}
+
+function endRefinger(apply) {
+  // Put the written tab back, then (when applying) write the previewed candidate as one undo step.
+  if (!refinger) return;
+  const r = refinger;
+  refinger = null;
+  if (r.doc !== doc) return;
+  r.original.forEach((notes, k) => { doc.columns[r.start + k].notes = notes.slice(); });
+  playabilityCache = null;
+  if (apply) {
+    pushHistory();
+    r.candidates[r.active].notes.forEach((notes, k) => { doc.columns[r.start + k].notes = deepClone(notes); });
   }
-  if (e.key.toLowerCase() === 'u') {
-    e.preventDefault();
-    clearDigitBuffer();
-    if (cursor.lane !== 'strum') focusStrumLane();
-    applyToken('↑');
+  render();
+}
+
+function refingerChanged(colIdx, row) {
+  // True for previewed cells that differ from the written tab.
+  if (!refinger || colIdx < refinger.start || colIdx > refinger.end) return false;
+  const was = refinger.original[colIdx - refinger.start];
+  return formatNote(was[row]) !== cellToken(doc.columns[colIdx], row);
+}
+
+function openRefinger() {
+  if (refinger) endRefinger(false);
+  if (!colSel) {
+    alert('Select the columns of a phrase first (drag across the tab), then re-finger it.');
     return;
   }
-  if (e.key.toLowerCase() === 'x' && cursor.lane === 'strum') {
-    e.preventDefault();
-    clearDigitBuffer();
-    applyToken('x');
+  commitDigitBuffer();
+  const start = Math.min(colSel.startCol, colSel.endCol);
+  const end = Math.max(colSel.startCol, colSel.endCol);
+  const candidates = refingerCandidates(start, end);
+  if (!candidates.length) {
+    alert('No other fingering keeps these pitches within the stretch and finger limits.');
     return;
   }
+  const original = doc.columns.slice(start, end + 1).map(col => col.notes.slice());
+  refinger = { doc, start, end, original, candidates, active: 0 };
+  previewRefinger(0);
+}
 
-  // If typing in tab lane
-  if (cursor.lane === 'tab') {
-    // Digits: buffer to allow multi-digit frets
-    if (/^\d$/.test(e.key)) {
-      e.preventDefault();
-      digitBuffer += e.key;
-      // cap to 2 digits for sanity in v1
-      if (digitBuffer.length >= 2) {
-        commitDigitBuffer();
-      } else {
-        scheduleDigitCommit();
-        render();
-      }
-      return;
-    }
+function renderRefingerPanel() {
+  if (refingerBtn) refingerBtn.classList.toggle('active', !!refinger);
+  if (!refingerPanel) return;
+  if (refinger && refinger.doc !== doc) refinger = null; // a new or opened song replaced it
+  refingerPanel.hidden = !refinger;
+  if (!refinger) return;
+
+  refingerRange.textContent = refinger.start === refinger.end ? `Col ${refinger.start + 1}` : `Cols ${refinger.start + 1}–${refinger.end + 1}`;
+  refingerList.textContent = '';
+  refinger.candidates.forEach((cand, i) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'btn panelItem' + (i === refinger.active ? ' active' : '');
+    b.dataset.index = String(i);
+    const label = document.createElement('span');
+    label.textContent = cand.label;
+    const detail = document.createElement('span');
+    detail.className = 'small muted';
+    detail.textContent = cand.detail;
+    b.append(label, detail);
+    refingerList.appendChild(b);
+  });
+}
 
-    // Common tab symbols (single char)
-    const sym = e.key;
-    const allowed = new Set(['h','p','/','\\','b','~']);
-    if (allowed.has(sym)) {
-      e.preventDefault();
-      commitDigitBuffer();
-      applyToken(sym);
-      return;
-    }
+if (refingerPanel) {
+  refingerList.addEventListener('mousedown', (e) => {
+    const b = e.target.closest('button');
+    if (!b || !refinger) return;
+    e.preventDefault();
+    previewRefinger(parseInt(b.dataset.index, 10));
+  });
+  refingerApply.addEventListener('click', () => endRefinger(true));
+  refingerCancel.addEventListener('click', () => endRefinger(false));
+}
 
-    // Allow single-letter tokens (e.g., 'x' mute) as tab token
-    if (/^[a-zA-Z]$/.test(sym)) {
-      // Only if not captured by strum shortcuts
-      if (sym.toLowerCase() === 'x') {
-        e.preventDefault();
-        commitDigitBuffer();
-        applyToken('x');
-        return;
-      }
+// -------------------------
+// Playback (Web Audio, synthesized plucked string)
+// -------------------------
+// Playback is rendered offline (OfflineAudioContext) and then played back as a single
+// buffer, so the same render path works headless. Pitches are always the sounding ones
+// (tuning + capo); no samples or network access are involved.
+let playback = null; // { ctx, source, schedule, startTime, raf }
+const RING_SECONDS = 2.5; // how long an undamped note sustains
+
+function buildPlaybackSchedule(startCol, endCol) {
+  // Returns { notes: [{ midi, time, dur, col }], cols: [{ col, time }], length } in seconds.
+  const ticks = timelineTicks();
+  const secPerTick = 60 / (songTempo() * TICKS_PER_QUARTER);
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  const rows = doc.instrument.strings.length;
+  const notes = [];
+  const cols = [];
+  const lastOnString = new Array(rows).fill(null);
+  let t = 0;
+
+  for (let c = startCol; c <= endCol; c++) {
+    const col = doc.columns[c];
+    const len = ticks[c] * secPerTick;
+    if (!col || col.divider || len === 0) continue;
+    cols.push({ col: c, time: t });
+
+    // Strum direction staggers chord onsets: down = low to high, up = high to low.
+    const stagger = col.strum === '↑' ? -0.012 : 0.012;
+    const muted = col.strum === 'x';
+    for (let r = 0; r < rows; r++) {
+      const cell = col.notes[r];
+      const { frets, ok } = tokenToFrets(cellToken(col, r));
+      const openMidi = openMidiForRow(r);
+      if (!ok || openMidi == null) continue;
+      const pitchOf = (f) => openMidi + (cell.harmonic ? harmonicSemitones(f) : f) + capo;
+      // Rows are drawn high string first, so (rows - 1 - r) orders onsets low to high.
+      const onset = t + (stagger > 0 ? (rows - 1 - r) * stagger : r * -stagger);
+      const prev = lastOnString[r];
+      // A tied note lets the one before it keep ringing.
+      if (cell.tie && prev && frets.length === 1 && prev.midi === pitchOf(frets[0]) && prev.time + prev.dur > onset) continue;
+      // A new note on a string stops the one still ringing there.
+      if (prev && prev.time + prev.dur > onset) prev.dur = Math.max(0.02, onset - prev.time);
+      // Compound tokens (5h7, 7b9, 5/7) play their frets in sequence across the column;
+      // the last one rings until the string is played again.
+      const step = len / frets.length;
+      frets.forEach((f, i) => {
+        const last = i === frets.length - 1;
+        const dur = muted ? 0.08 : cell.palmMute ? Math.min(step, 0.15) : (last ? RING_SECONDS : step);
+        const note = { midi: pitchOf(f), time: onset + i * step, dur, col: c, row: r };
+        notes.push(note);
+        if (last) lastOnString[r] = note;
+      });
     }
+    t += len;
   }
-});
+  return { notes, cols, length: t + RING_SECONDS };
+}
 
-// -------------------------
-// Buttons + UI wiring
-// -------------------------
-function setDocView(key, value) {
-  pushHistory();
-  doc.view[key] = value;
-  render();
+function pluckSamples(freq, seconds, sampleRate, seed = 1) {
+  // Karplus-Strong: a noise burst circulating through a damped delay line. A first-order
+  // allpass supplies the fractional part of the delay so high notes stay in tune.
+  const n = Math.max(1, Math.floor(seconds * sampleRate));
+  const period = sampleRate / freq;
+  const len = Math.max(2, Math.floor(period - 0.5));
+  const frac = period - 0.5 - len;
+  const C = (1 - frac) / (1 + frac);
+  const line = new Float32Array(len);
+  let rnd = seed >>> 0 || 1; // deterministic noise keeps offline renders reproducible
+  for (let i = 0; i < len; i++) {
+    rnd = (rnd * 1664525 + 1013904223) >>> 0;
+    line[i] = (rnd / 4294967296) * 2 - 1;
+  }
+  const damping = 0.996;
+  const out = new Float32Array(n);
+  let idx = 0;
+  let last = 0;
+  let apX = 0;
+  let apY = 0;
+  for (let i = 0; i < n; i++) {
+    const x = line[idx];
+    out[i] = x;
+    const lp = damping * 0.5 * (x + last);
+    last = x;
+    const ap = C * lp + apX - C * apY;
+    apX = lp;
+    apY = ap;
+    line[idx] = ap;
+    idx = (idx + 1) % len;
+  }
+  // Short release so cut-off notes do not click.
+  const fade = Math.min(n, Math.floor(sampleRate * 0.01));
+  for (let i = 0; i < fade; i++) out[n - 1 - i] *= i / fade;
+  return out;
 }
 
-notesModeSeg.addEventListener('click', (e) => {
-  const b = e.target.closest('button');
-  if (!b) return;
-  setSegActive(notesModeSeg, b.dataset.mode);
-  setDocView('notesMode', b.dataset.mode);
-});
+function renderPlaybackOffline(startCol, endCol, sampleRate = 44100) {
+  // Resolves to { buffer: AudioBuffer, schedule }.
+  const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineCtx) return Promise.reject(new Error('Audio playback is not supported in this browser.'));
+  const schedule = buildPlaybackSchedule(startCol, endCol);
+  const ctxA = new OfflineCtx(1, Math.max(1, Math.ceil(schedule.length * sampleRate)), sampleRate);
+  const master = ctxA.createGain();
+  master.gain.value = 0.35;
+  master.connect(ctxA.destination);
+  schedule.notes.forEach((note, i) => {
+    const freq = 440 * Math.pow(2, (note.midi - 69) / 12);
+    const data = pluckSamples(freq, note.dur, sampleRate, i + 1);
+    const buf = ctxA.createBuffer(1, data.length, sampleRate);
+    buf.copyToChannel(data, 0);
+    const src = ctxA.createBufferSource();
+    src.buffer = buf;
+    src.connect(master);
+    src.start(Math.max(0, note.time));
+  });
+  return ctxA.startRendering().then(buffer => ({ buffer, schedule }));
+}
 
-notesInterpretSeg.addEventListener('click', (e) => {
-  const b = e.target.closest('button');
-  if (!b) return;
-  setSegActive(notesInterpretSeg, b.dataset.mode);
-  setDocView('notesInterpretation', b.dataset.mode);
-});
+function playbackRange() {
+  if (colSel) return { start: Math.min(colSel.startCol, colSel.endCol), end: Math.max(colSel.startCol, colSel.endCol) };
+  return { start: cursor.col, end: doc.columns.length - 1 };
+}
 
-chordsModeSeg.addEventListener('click', (e) => {
-  const b = e.target.closest('button');
-  if (!b) return;
-  const next = b.dataset.mode;
-  setSegActive(chordsModeSeg, next);
-  setDocView('chordsMode', next);
-});
+async function startPlayback() {
+  stopPlayback();
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) { alert('Audio playback is not supported in this browser.'); return; }
+  commitDigitBuffer();
+  const { start, end } = playbackRange();
+  const live = new AudioCtx();
+  playback = { ctx: live, source: null, schedule: null, startTime: 0, raf: 0 };
+  updatePlayButton();
+  try {
+    const { buffer, schedule } = await renderPlaybackOffline(start, end, live.sampleRate);
+    if (!playback || playback.ctx !== live) return; // stopped while rendering
+    const src = live.createBufferSource();
+    src.buffer = buffer;
+    src.connect(live.destination);
+    src.onended = () => { if (playback && playback.ctx === live) stopPlayback(); };
+    playback.source = src;
+    playback.schedule = schedule;
+    playback.startTime = live.currentTime + 0.05;
+    src.start(playback.startTime);
+    followPlayback();
+  } catch (err) {
+    stopPlayback();
+    alert('Playback failed: ' + (err && err.message ? err.message : String(err)));
+  }
+}
 
-// Control hover tooltips (subtle, always available)
-// Notes
-if (notesModeSeg) {
-  const off = notesModeSeg.querySelector('button[data-mode="off"]');
-  const hov = notesModeSeg.querySelector('button[data-mode="hover"]');
-  const board = notesModeSeg.querySelector('button[data-mode="board"]');
-  attachUiTip(off, 'Notes: Off — hide note names.');
-  attachUiTip(hov, 'Notes: Hover — show note names on hover.');
-  attachUiTip(board, 'Notes: Board — show the Note Board under the tab.');
+function followPlayback() {
+  // Move the cursor band with the music.
+  if (!playback || !playback.schedule) return;
+  const t = playback.ctx.currentTime - playback.startTime;
+  const cols = playback.schedule.cols;
+  let cur = null;
+  for (const entry of cols) {
+    if (entry.time <= t) cur = entry.col;
+    else break;
+  }
+  if (cur != null && cur !== cursor.col) {
+    cursor.col = cur;
+    render();
+    scrollColumnIntoView(cur);
+  }
+  playback.raf = requestAnimationFrame(followPlayback);
 }
 
-// Interpret
-if (notesInterpretSeg) {
-  const fingered = notesInterpretSeg.querySelector('button[data-mode="fingered"]');
-  const sounding = notesInterpretSeg.querySelector('button[data-mode="sounding"]');
-  attachUiTip(fingered, 'Fingered — notes reflect the frets you entered (ignores capo).');
-  attachUiTip(sounding, 'Sounding — notes include capo (pitch is what you actually hear).');
+function stopPlayback() {
+  if (!playback) return;
+  const p = playback;
+  playback = null;
+  if (p.raf) cancelAnimationFrame(p.raf);
+  try { if (p.source) p.source.stop(); } catch (_) {}
+  try { p.ctx.close(); } catch (_) {}
+  updatePlayButton();
 }
 
-// Chords
-if (chordsModeSeg) {
-  const off = chordsModeSeg.querySelector('button[data-mode="off"]');
-  const hov = chordsModeSeg.querySelector('button[data-mode="hover"]');
-  attachUiTip(off, 'Chords: Off — hide chord labels.');
-  attachUiTip(hov, 'Chords: Hover — infer chord labels from notes in each column (WIP).');
+function updatePlayButton() {
+  if (!playBtn) return;
+  playBtn.textContent = playback ? '■ Stop' : '▶ Play';
+  playBtn.classList.toggle('active', !!playback);
 }
 
-// Capo
-attachUiTip(capoInput, 'Capo affects Sounding notes and chord inference.');
+function scrollColumnIntoView(colIdx) {
+  if (!canvasWrap) return;
+  const x = colStartX(buildColumnPixelWidths(18).widths, colIdx, getLayout().marginL);
+  const viewLeft = canvasWrap.scrollLeft;
+  const viewW = canvasWrap.clientWidth;
+  const pad = 80;
+  if (x < viewLeft + pad || x > viewLeft + viewW - pad) {
+    canvasWrap.scrollLeft = Math.max(0, x - viewW / 3);
+  }
+}
 
-instrumentSelect.addEventListener('change', () => {
-  const type = instrumentSelect.value;
-  populateTuningSelect();
-  const tn = Object.keys(TUNINGS[type])[0];
-  tuningSelect.value = tn;
-  applyInstrumentAndTuning(type, tn);
-});
+// -------------------------
+// Input + interaction
+// -------------------------
+function commitDigitBuffer() {
+  if (!digitBuffer) return;
+  const val = digitBuffer;
+  digitBuffer = '';
+  if (digitTimer) {
+    clearTimeout(digitTimer);
+    digitTimer = null;
+  }
+  applyToken(val);
+}
 
-tuningSelect.addEventListener('change', () => {
-  applyInstrumentAndTuning(instrumentSelect.value, tuningSelect.value);
-});
+function scheduleDigitCommit() {
+  if (digitTimer) clearTimeout(digitTimer);
+  digitTimer = setTimeout(() => {
+    commitDigitBuffer();
+  }, 350);
+}
 
-capoInput.addEventListener('change', () => {
-  pushHistory();
-  doc.capo.fret = clamp(parseInt(capoInput.value || '0', 10) || 0, 0, 12);
-  render();
-});
+function clearDigitBuffer() {
+  digitBuffer = '';
+  if (digitTimer) {
+    clearTimeout(digitTimer);
+    digitTimer = null;
+  }
+}
 
-newBtn.addEventListener('click', () => {
-  if (!confirm('Start a new Tabd project? (Current work will be lost unless saved)')) return;
-  history = [];
-  future = [];
-  doc = newDoc(instrumentSelect.value);
-  cursor = { lane:'tab', row:0, col:0 };
-  chordStack = false;
-  insertMode = false;
-  syncControlsFromDoc();
+function applyToken(token, opts = {}) {
+  // opts.stay: write into the cursor column and leave the cursor there (fretboard panel clicks).
+  const c = cursor.col;
+  const insertHere = !opts.stay && insertMode && cursor.lane === 'tab' && !(chordStack && insertStackCol === c);
+  if (!insertHere && doc.columns[c] && doc.columns[c].divider) return;
+  pushHistory();
+  if (insertHere) {
+    // Insert mode: push the rest of the line right by one column. While chord-stacking,
+    // the remaining strings of the chord fill the column that was just inserted.
+    doc.columns.splice(c, 0, { notes: [], strum: '' });
+    shiftMarkers(c, 1);
+    insertStackCol = chordStack ? c : null;
+  }
+  if (cursor.lane === 'strum') {
+    doc.columns[c].strum = token;
+  } else {
+    doc.columns[c].notes[cursor.row] = toNote(token);
+    if (opts.stay) {
+      // Cursor stays put.
+    } else if (chordStack) {
+      cursor.row = clamp(cursor.row + 1, 0, doc.instrument.strings.length - 1);
+    } else {
+      cursor.col = clamp(cursor.col + 1, 0, doc.columns.length - 1);
+    }
+  }
   render();
-});
+}
 
-saveBtn.addEventListener('click', () => {
+function applyNoteTechnique(tech) {
+  // 'hammer', 'pull', 'slideUp', 'slideDown' or 'bend' into the next column's note, or
+  // 'vibrato'; pressing the same key again takes it off. Applies to the note under the cursor,
+  // else the one just entered (left of the cursor, or above it while chord-stacking).
+  commitDigitBuffer();
+  const spots = [{ col: cursor.col, row: cursor.row }, chordStack ? { col: cursor.col, row: cursor.row - 1 } : { col: cursor.col - 1, row: cursor.row }];
+  const at = spots.find(p => {
+    const col = doc.columns[p.col];
+    const note = col && !col.divider && col.notes[p.row];
+    return note && note.fret != null && !note.harmonic;
+  });
+  if (!at) return;
+  pushHistory();
+  const note = { ...doc.columns[at.col].notes[at.row] };
+  if (tech === 'vibrato') {
+    if (note.vibrato) delete note.vibrato; else note.vibrato = true;
+  } else if (note.into === tech) {
+    delete note.into;
+  } else {
+    note.into = tech;
+  }
+  doc.columns[at.col].notes[at.row] = note;
+  render();
+}
+
+function editNoteText() {
+  // Type a whole cell in shorthand; anything that doesn't parse is explained and asked again.
+  commitDigitBuffer();
+  const col = doc.columns[cursor.col];
+  if (cursor.lane !== 'tab' || !col || col.divider) return;
+  let text = cellToken(col, cursor.row);
+  for (;;) {
+    const answer = prompt(`String ${stringLabelAt(cursor.row)}, column ${cursor.col + 1}: e.g. 5h7, /7, 7b9, (5), <12>, 7~, 5m (blank clears)`, text);
+    if (answer == null) return;
+    const { error } = parseNoteToken(answer);
+    if (!error) {
+      pushHistory();
+      doc.columns[cursor.col].notes[cursor.row] = toNote(answer);
+      render();
+      return;
+    }
+    alert(error);
+    text = answer;
+  }
+}
+
+function applyDuration(base) {
+  // Rhythm lane: set the column's duration, then advance like fret entry.
+  const c = cursor.col;
+  if (doc.columns[c] && doc.columns[c].divider) return;
+  pushHistory();
+  doc.columns[c].dur = base;
+  cursor.col = clamp(cursor.col + 1, 0, doc.columns.length - 1);
+  render();
+}
+
+function toggleDurationFlag(flag) {
+  // '.' / '3' modify the duration under the cursor, or the one just entered to its left.
+  let c = cursor.col;
+  if (!(doc.columns[c] && doc.columns[c].dur) && c > 0) c -= 1;
+  const col = doc.columns[c];
+  const d = col && parseDuration(col.dur);
+  if (!d) return;
+  pushHistory();
+  d[flag] = !d[flag];
+  col.dur = formatDuration(d);
+  render();
+}
+
+function clearCell() {
+  const c = cursor.col;
+  const col = doc.columns[c];
+  if (col && col.divider) {
+    if (!insertMode) return;
+    // Insert mode: deleting a divider closes the gap it occupied.
+    pushHistory();
+    removeColumnAt(c);
+    render();
+    return;
+  }
+  pushHistory();
+  if (cursor.lane === 'strum') {
+    col.strum = '';
+  } else if (cursor.lane === 'rhythm') {
+    delete col.dur;
+  } else {
+    col.notes[cursor.row] = null;
+  }
+  // Insert mode: once a column has nothing left in it, close the gap.
+  if (insertMode && !hasColumnContent(col)) removeColumnAt(c);
+  render();
+}
+
+function removeColumnAt(c) {
+  doc.columns.splice(c, 1);
+  shiftMarkers(c + 1, -1);
+  if (doc.columns.length === 0) doc.columns.push({ notes: [], strum: '' });
+  cursor.col = clamp(cursor.col, 0, doc.columns.length - 1);
+  insertStackCol = null;
+}
+
+function moveCursor(dx, dy) {
+  commitDigitBuffer();
+  if (dx !== 0) insertStackCol = null;
+  if (cursor.lane === 'rhythm') {
+    cursor.col = clamp(cursor.col + dx, 0, doc.columns.length - 1);
+    if (dy < 0) {
+      cursor.lane = 'tab';
+      cursor.row = doc.instrument.strings.length - 1;
+    }
+  } else if (cursor.lane === 'strum') {
+    cursor.col = clamp(cursor.col + dx, 0, doc.columns.length - 1);
+    if (dy !== 0) {
+      cursor.lane = 'tab';
+      cursor.row = 0;
+    }
+  } else {
+    cursor.col = clamp(cursor.col + dx, 0, doc.columns.length - 1);
+    cursor.row = clamp(cursor.row + dy, 0, doc.instrument.strings.length - 1);
+    if (dy < 0 && cursor.row === 0 && cursor.row + dy < 0) {
+      // no-op
+    }
+  }
+  render();
+}
+
+function focusStrumLane() {
+  commitDigitBuffer();
+  cursor.lane = 'strum';
+  render();
+}
+
+function focusTabLane() {
+  commitDigitBuffer();
+  cursor.lane = 'tab';
+  render();
+}
+
+function canvasToCell(mx, my) {
+  // Use same layout metrics as render
+  const cssWidth = canvas.clientWidth;
+  const L = getLayout();
+  const { marginL, rowH, strumH, tabRows, showNoteBoard, yStrumTop, yTabTop, yNoteTop } = L;
+
+  const { widths: colPx } = buildColumnPixelWidths(18);
+  const visible = computeVisibleColumns(colPx, cssWidth - marginL - 18);
+
+  // Determine column
+  if (mx < marginL) return null;
+  let x = marginL;
+  let col = null;
+  for (let c = visible.start; c < visible.end; c++) {
+    const w = colPx[c];
+    if (mx >= x && mx < x + w) { col = c; break; }
+    x += w;
+  }
+  if (col == null) return null;
+
+  // Determine lane
+  if (my >= yStrumTop && my < yStrumTop + strumH) {
+    return { lane: 'strum', col };
+  }
+
+  if (my >= yTabTop && my < yTabTop + tabRows * rowH) {
+    const row = Math.floor((my - yTabTop) / rowH);
+    return { lane: 'tab', col, row: clamp(row, 0, tabRows - 1) };
+  }
+
+  if (L.showRhythm && my >= L.yRhythmTop && my < L.yRhythmTop + L.rhythmH) {
+    return { lane: 'rhythm', col };
+  }
+
+  if (showNoteBoard && my >= yNoteTop && my < yNoteTop + tabRows * rowH) {
+    // note board is read-only; clicking it moves cursor to corresponding tab cell
+    const row = Math.floor((my - yNoteTop) / rowH);
+    return { lane: 'tab', col, row: clamp(row, 0, tabRows - 1) };
+  }
+
+  return null;
+}
+
+function showTooltipAt(x, y, html) {
+  tooltip.style.left = `${x + 10}px`;
+  tooltip.style.top = `${y + 10}px`;
+  tooltip.innerHTML = html;
+  tooltip.style.display = 'block';
+}
+
+
+function showTooltipForElement(el, html) {
+  if (!el) return;
+  const r = el.getBoundingClientRect();
+  const x = Math.round(r.left + r.width * 0.25);
+  const y = Math.round(r.top + r.height);
+  showTooltipAt(x, y, html);
+}
+function hideTooltip() {
+  tooltip.style.display = 'none';
+  tooltip.innerHTML = '';
+}
+
+// Canvas events
+canvas.addEventListener('mousedown', (e) => {
+  if (refinger) endRefinger(false);
+  const rect = canvas.getBoundingClientRect();
+  const mx = e.clientX - rect.left;
+  const my = e.clientY - rect.top;
+  const mh = markerHit(mx, my);
+  if (mh && mh.marker) {
+    // Single click: jump cursor. Double click: rename.
+    cursor.col = clamp(mh.col, 0, doc.columns.length - 1);
+    if (e.detail >= 2) {
+      const name = prompt('Rename marker', mh.marker.name || '');
+      if (name !== null) {
+        pushHistory();
+        const nm = String(name).trim();
+        if (nm) mh.marker.name = nm;
+      }
+    }
+    render();
+    return;
+  }
+  const chordCol = chordLaneHit(mx, my);
+  if (chordCol != null) {
+    // Single click: jump cursor. Double click: set or pin the chord label.
+    commitDigitBuffer();
+    cursor.col = chordCol;
+    render();
+    if (e.detail >= 2) editColumnChord(chordCol);
+    return;
+  }
+  const hit = canvasToCell(mx, my);
+  if (!hit) return;
+
+  // Begin possible drag-selection (columns). We only commit to selection if the
+  // pointer moves horizontally beyond a small threshold.
+  _mouseDown = true;
+  _dragging = false;
+  _downHit = hit;
+  _downX = mx;
+  _downY = my;
+
+  // Don't clear existing selection yet; allow click (no drag) to behave exactly as before.
+});
+
+
+// Right-click marker to delete (no confirmation); right-click a hand-set chord to clear it
+canvas.addEventListener('contextmenu', (e) => {
+  const rect = canvas.getBoundingClientRect();
+  const mx = e.clientX - rect.left;
+  const my = e.clientY - rect.top;
+  const chordCol = chordLaneHit(mx, my);
+  if (chordCol != null && doc.columns[chordCol].chord) {
+    e.preventDefault();
+    pushHistory();
+    delete doc.columns[chordCol].chord;
+    render();
+    return;
+  }
+  const mh = markerHit(mx, my);
+  if (mh && mh.marker) {
+    e.preventDefault();
+    pushHistory();
+    ensureMarkers();
+    doc.markers = doc.markers.filter(m => m && (mh.marker.id ? m.id !== mh.marker.id : m !== mh.marker));
+    render();
+    return;
+  }
+});
+window.addEventListener('mouseup', (e) => {
+  if (!_mouseDown) return;
+  _mouseDown = false;
+
+  // If we did not drag, treat this as a normal click-to-cursor.
+  if (!_dragging && _downHit) {
+    clearDigitBuffer();
+    insertStackCol = null;
+
+    // Keep an existing column selection when clicking inside it (DAW-style),
+    // but clear it when clicking outside the selected range.
+    if (colSel) {
+      const a = Math.min(colSel.startCol, colSel.endCol);
+      const b = Math.max(colSel.startCol, colSel.endCol);
+      if (_downHit.col < a || _downHit.col > b) {
+        clearColSel();
+      }
+    }
+
+    cursor.col = _downHit.col;
+    if (_downHit.lane === 'strum' || _downHit.lane === 'rhythm') {
+      cursor.lane = _downHit.lane;
+    } else {
+      cursor.lane = 'tab';
+      cursor.row = _downHit.row ?? 0;
+    }
+    render();
+  }
+
+  _dragging = false;
+  _downHit = null;
+});
+
+// Mouse move: either drag-select columns (snap) or show hover tooltip (existing behavior)
+canvas.addEventListener('mousemove', (e) => {
+  const rect = canvas.getBoundingClientRect();
+  const mx = e.clientX - rect.left;
+  const my = e.clientY - rect.top;
+
+  // Drag-select columns
+  if (_mouseDown && _downHit) {
+    const dx = mx - _downX;
+    const dy = my - _downY;
+    if (!_dragging) {
+      // Commit to drag-selection when movement exceeds a small threshold in ANY direction.
+      // (Allows vertical drags to select a single column without requiring horizontal motion.)
+      if (Math.abs(dx) >= _DRAG_THRESH_PX || Math.abs(dy) >= _DRAG_THRESH_PX) {
+        _dragging = true;
+        // Start new selection at the mousedown column
+        colSel = { startCol: _downHit.col, endCol: _downHit.col };
+      }
+    }
+
+    if (_dragging) {
+      const hit = canvasToCell(mx, my);
+      if (hit) {
+        const a = Math.min(_downHit.col, hit.col);
+        const b = Math.max(_downHit.col, hit.col);
+        colSel = { startCol: a, endCol: b };
+        hideTooltip();
+        render();
+      }
+      return;
+    }
+  }
+
+  // Chord lane: how the column's notes map onto the chord (and the runner-up readings).
+  const chordCol = chordLaneHit(mx, my);
+  if (chordCol != null) {
+    const html = chordTooltipHtml(chordCol);
+    if (html) showTooltipAt(mx, my, html);
+    else hideTooltip();
+    return;
+  }
+
+  // Hover tooltip (unchanged)
+  if (doc.view.notesMode !== 'hover') { hideTooltip(); return; }
+
+  const hit = canvasToCell(mx, my);
+  if (!hit || hit.lane !== 'tab') { hideTooltip(); return; }
+
+  const s = stringLabelAt(hit.row);
+  const info = deriveHoverNoteInfo(hit.row, hit.col);
+  if (!info) { hideTooltip(); return; }
+
+  const prog = info.notes.length > 1 ? info.notes.join(' → ') : info.notes[0];
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  const chordHtml = doc.view.chordsMode !== 'off' ? chordTooltipHtml(hit.col) : '';
+  let degreeLine = '';
+  if (doc.view.notesInterpretation === 'degrees') {
+    const key = keyAt(hit.col);
+    const deg = deriveDegreeInfo(hit.row, hit.col, key);
+    if (deg) degreeLine = `<div class="mono">${deg.label} in ${formatKey(key)}${key.auto ? ' (detected)' : ''}${deg.inKey ? '' : ' · out of key'}</div>`;
+  }
+  const described = describeNote(doc.columns[hit.col].notes[hit.row]);
+  const noteLine = described ? `<div class="muted">${xmlEscape(described)}</div>` : '';
+  const capoLine = capo > 0 ? `<div class="muted">Capo: ${capo} · Interpret: ${doc.view.notesInterpretation}</div>` : `<div class="muted">Interpret: ${doc.view.notesInterpretation}</div>`;
+
+  showTooltipAt(mx, my, `
+    <div><span class="mono">${s}</span> · <span class="mono">${xmlEscape(info.token)}</span></div>
+    ${noteLine}
+    <div class="muted">Notes</div>
+    <div class="mono">${prog}</div>
+    ${degreeLine}
+    ${capoLine}
+    ${chordHtml ? `<div class="muted">Chord</div>${chordHtml}` : ''}
+  `);
+});
+
+canvas.addEventListener('mouseleave', () => hideTooltip());
+
+// Keyboard events
+window.addEventListener('keydown', (e) => {
+  // Leave typing in form fields (dialogs, capo) alone.
+  const target = e.target;
+  if (target && (target.tagName === 'INPUT' || target.tagName === 'SELECT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+
+  // Re-finger preview: ↑/↓ step through the candidates, Enter applies, Escape cancels. Any other
+  // key puts the written tab back first and then does its usual job.
+  if (refinger) {
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      const n = refinger.candidates.length;
+      previewRefinger((refinger.active + (e.key === 'ArrowDown' ? 1 : n - 1)) % n);
+      return;
+    }
+    if (e.key === 'Enter' || e.key === 'Escape') {
+      e.preventDefault();
+      endRefinger(e.key === 'Enter');
+      return;
+    }
+    if (!['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) endRefinger(false);
+  }
+
+  // Column range selection (Step 1)
+  if (e.key === 'Escape') {
+    if (colSel) { clearColSel(); render(); }
+    return;
+  }
+  // Undo/redo
+  if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+    e.preventDefault();
+    if (e.shiftKey) redo(); else undo();
+    return;
+  }
+  if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 'y')) {
+    e.preventDefault();
+    redo();
+    return;
+  }
+  // Clipboard (Step 2)
+  if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+    const ae = document.activeElement;
+    const tag = ae ? ae.tagName : '';
+    const isText = ae && (tag === 'INPUT' || tag === 'TEXTAREA' || ae.isContentEditable);
+    if (!isText) {
+      const k = e.key.toLowerCase();
+      const getSel = () => {
+        if (colSel) return { start: Math.min(colSel.startCol, colSel.endCol), end: Math.max(colSel.startCol, colSel.endCol) };
+        return null;
+      };
+      if (k === 'c') {
+        const r = getSel();
+        if (!r) return; // nothing selected
+        e.preventDefault();
+        colClip = deepClone(doc.columns.slice(r.start, r.end + 1));
+        return;
+      }
+      if (k === 'x') {
+        const r = getSel();
+        if (!r) return;
+        e.preventDefault();
+        pushHistory();
+        colClip = deepClone(doc.columns.slice(r.start, r.end + 1));
+        const removedCount = (r.end - r.start + 1);
+        doc.columns.splice(r.start, removedCount);
+        removeMarkersInRange(r.start, r.end);
+        shiftMarkers(r.end + 1, -removedCount);
+        if (doc.columns.length === 0) doc.columns.push({ notes: [], strum: '' });
+        cursor.col = clamp(r.start, 0, doc.columns.length - 1);
+        clearColSel();
+        render();
+        return;
+      }
+      if (k === 'v') {
+        if (!hasClip()) return;
+        e.preventDefault();
+        pushHistory();
+        const r = getSel();
+        const insertAt = r ? r.start : clamp(cursor.col, 0, doc.columns.length);
+        const payload = deepClone(colClip);
+        doc.columns.splice(insertAt, 0, ...payload);
+        shiftMarkers(insertAt, payload.length);
+        colSel = { startCol: insertAt, endCol: insertAt + payload.length - 1 };
+        cursor.col = clamp(insertAt, 0, doc.columns.length - 1);
+        render();
+        return;
+      }
+      if (k === 'd') {
+        e.preventDefault();
+        pushHistory();
+        let r = getSel();
+        if (!r) r = { start: cursor.col, end: cursor.col };
+        const payload = deepClone(doc.columns.slice(r.start, r.end + 1));
+        const insertAt = clamp(r.end + 1, 0, doc.columns.length);
+        doc.columns.splice(insertAt, 0, ...payload);
+        shiftMarkers(insertAt, payload.length);
+        colSel = { startCol: insertAt, endCol: insertAt + payload.length - 1 };
+        cursor.col = clamp(insertAt, 0, doc.columns.length - 1);
+        render();
+        return;
+      }
+    }
+  }
+
+
+  // Mode toggles
+  if (!e.ctrlKey && !e.metaKey) {
+    if (e.key.toLowerCase() === 'c') {
+      e.preventDefault();
+      commitDigitBuffer();
+      chordStack = !chordStack;
+      updateModeBadge();
+      render();
+      return;
+    }
+    if (e.key.toLowerCase() === 'l') {
+      e.preventDefault();
+      openChordLibrary();
+      return;
+    }
+    if (e.key.toLowerCase() === 'i') {
+      e.preventDefault();
+      commitDigitBuffer();
+      insertMode = !insertMode;
+      insertStackCol = null;
+      updateModeBadge();
+      render();
+      return;
+    }
+  }
+
+  // Navigation
+  if (e.key === 'ArrowLeft') { e.preventDefault(); moveCursor(-1, 0); return; }
+  if (e.key === 'ArrowRight') { e.preventDefault(); moveCursor(1, 0); return; }
+  if (e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (cursor.lane === 'strum') {
+      focusTabLane();
+    } else {
+      moveCursor(0, -1);
+    }
+    return;
+  }
+  if (e.key === 'ArrowDown') {
+    e.preventDefault();
+    if (cursor.lane === 'tab' && cursor.row === doc.instrument.strings.length - 1) {
+      // Below the last string: the rhythm lane when shown, otherwise stay in the tab.
+      if (doc.view.rhythmMode === 'lane') {
+        commitDigitBuffer();
+        cursor.lane = 'rhythm';
+        render();
+      } else {
+        moveCursor(0, 0);
+      }
+    } else {
+      moveCursor(0, 1);
+    }
+    return;
+  }
+
+  if (e.key === ' ' && !e.ctrlKey && !e.metaKey) {
+    e.preventDefault();
+    if (playback) stopPlayback();
+    else startPlayback();
+    return;
+  }
+
+  if (e.key === 'Tab') {
+    e.preventDefault();
+    commitDigitBuffer();
+    insertStackCol = null;
+    cursor.col = clamp(cursor.col + (e.shiftKey ? -1 : 1), 0, doc.columns.length - 1);
+    render();
+    return;
+  }
+
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    commitDigitBuffer();
+    if (cursor.lane === 'tab') {
+      cursor.row = clamp(cursor.row + (e.shiftKey ? -1 : 1), 0, doc.instrument.strings.length - 1);
+      render();
+    }
+    return;
+  }
+
+  // Backspace: prevent browser history navigation while editing, but do not erase.
+  if (e.key === 'Backspace') {
+    e.preventDefault();
+    clearDigitBuffer();
+    return;
+  }
+
+  // Delete: erase the current selection.
+  if (e.key === 'Delete') {
+    e.preventDefault();
+    clearDigitBuffer();
+
+    // If a column-range selection exists, erase it.
+    if (colSel) {
+      pushHistory();
+      const a0 = Math.min(colSel.startCol, colSel.endCol);
+      const b0 = Math.max(colSel.startCol, colSel.endCol);
+
+      // Insert mode: remove the selected columns entirely so the gap closes.
+      if (insertMode) {
+        const count = b0 - a0 + 1;
+        doc.columns.splice(a0, count);
+        removeMarkersInRange(a0, b0);
+        shiftMarkers(b0 + 1, -count);
+        if (doc.columns.length === 0) doc.columns.push({ notes: [], strum: '' });
+        cursor.col = clamp(a0, 0, doc.columns.length - 1);
+        clearColSel();
+        render();
+        return;
+      }
+
+      // 1) Remove divider columns inside the selection (structural delete)
+      for (let i = b0; i >= a0; i--) {
+        if (doc.columns[i] && doc.columns[i].divider) {
+          doc.columns.splice(i, 1);
+          shiftMarkers(i, -1);
+        }
+      }
+
+      // 2) Clear contents of remaining columns that were in the original selection span
+      // (after divider deletions, indices may have shifted; we re-compute a safe span)
+      const a = clamp(a0, 0, doc.columns.length - 1);
+      const b = clamp(b0, 0, doc.columns.length - 1);
+
+      for (let i = a; i <= b; i++) {
+        const col = doc.columns[i];
+        if (!col || col.divider) continue;
+        col.strum = '';
+        col.notes = [];
+      }
+
+      cursor.col = clamp(a, 0, doc.columns.length - 1);
+      render();
+      return;
+    }
+
+    // No range selection: normal delete behavior (cell-level)
+    clearCell();
+    return;
+  }
+
+  // Lane jumps
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    clearDigitBuffer();
+    hideTooltip();
+    return;
+  }
+
+  // Rhythm lane: W H Q E S T set a duration; '.' toggles dotted, '3' toggles triplet.
+  if (cursor.lane === 'rhythm' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    const k = e.key.toUpperCase();
+    if (DURATION_TICKS[k] != null) {
+      e.preventDefault();
+      applyDuration(k);
+      return;
+    }
+    if (e.key === '.' || e.key === '3') {
+      e.preventDefault();
+      toggleDurationFlag(e.key === '.' ? 'dotted' : 'triplet');
+      return;
+    }
+  }
+
+  // Strum shortcuts (when in strum lane, or always if user types uppercase)
+  if (e.key.toLowerCase() === 'd') {
+    e.preventDefault();
+    clearDigitBuffer();
+    if (cursor.lane !== 'strum') focusStrumLane();
+    applyToken('↓');
+    return;
+  }
+  if (e.key.toLowerCase() === 'u') {
+    e.preventDefault();
+    clearDigitBuffer();
+    if (cursor.lane !== 'strum') focusStrumLane();
+    applyToken('↑');
+    return;
+  }
+  if (e.key.toLowerCase() === 'x' && cursor.lane === 'strum') {
+    e.preventDefault();
+    clearDigitBuffer();
+    applyToken('x');
+    return;
+  }
+
+  // If typing in tab lane
+  if (cursor.lane === 'tab') {
+    // Digits: buffer to allow multi-digit frets
+    if (/^\d$/.test(e.key)) {
+      e.preventDefault();
+      digitBuffer += e.key;
+      // cap to 2 digits for sanity in v1
+      if (digitBuffer.length >= 2) {
+        commitDigitBuffer();
+      } else {
+        scheduleDigitCommit();
+        render();
+      }
+      return;
+    }
+
+    // Techniques and vibrato mark the note just entered (or the one under the cursor).
+    const sym = e.key;
+    if (NOTE_TECHS[sym] || sym === '~') {
+      e.preventDefault();
+      applyNoteTechnique(sym === '~' ? 'vibrato' : NOTE_TECHS[sym]);
+      return;
+    }
+    if (sym.toLowerCase() === 'n') {
+      e.preventDefault();
+      editNoteText();
+      return;
+    }
+
+    // Allow single-letter tokens (e.g., 'x' mute) as tab token
+    if (/^[a-zA-Z]$/.test(sym)) {
+      // Only if not captured by strum shortcuts
+      if (sym.toLowerCase() === 'x') {
+        e.preventDefault();
+        commitDigitBuffer();
+        applyToken('x');
+        return;
+      }
+    }
+  }
+});
+
+// -------------------------
+// Buttons + UI wiring
+// -------------------------
+function setDocView(key, value) {
+  pushHistory();
+  doc.view[key] = value;
+  render();
+}
+
+notesModeSeg.addEventListener('click', (e) => {
+  const b = e.target.closest('button');
+  if (!b) return;
+  setSegActive(notesModeSeg, b.dataset.mode);
+  setDocView('notesMode', b.dataset.mode);
+});
+
+notesInterpretSeg.addEventListener('click', (e) => {
+  const b = e.target.closest('button');
+  if (!b) return;
+  setSegActive(notesInterpretSeg, b.dataset.mode);
+  setDocView('notesInterpretation', b.dataset.mode);
+});
+
+fretboardSeg.addEventListener('click', (e) => {
+  const b = e.target.closest('button');
+  if (!b) return;
+  setSegActive(fretboardSeg, b.dataset.mode);
+  setDocView('fretboard', b.dataset.mode);
+});
+
+spellingSeg.addEventListener('click', (e) => {
+  const b = e.target.closest('button');
+  if (!b) return;
+  setSegActive(spellingSeg, b.dataset.mode);
+  setDocView('spelling', b.dataset.mode);
+});
+
+chordsModeSeg.addEventListener('click', (e) => {
+  const b = e.target.closest('button');
+  if (!b) return;
+  const next = b.dataset.mode;
+  setSegActive(chordsModeSeg, next);
+  setDocView('chordsMode', next);
+});
+
+rhythmModeSeg.addEventListener('click', (e) => {
+  const b = e.target.closest('button');
+  if (!b) return;
+  setSegActive(rhythmModeSeg, b.dataset.mode);
+  if (b.dataset.mode !== 'lane' && cursor.lane === 'rhythm') {
+    cursor.lane = 'tab';
+    cursor.row = doc.instrument.strings.length - 1;
+  }
+  setDocView('rhythmMode', b.dataset.mode);
+});
+
+// Control hover tooltips (subtle, always available)
+// Notes
+if (notesModeSeg) {
+  const off = notesModeSeg.querySelector('button[data-mode="off"]');
+  const hov = notesModeSeg.querySelector('button[data-mode="hover"]');
+  const board = notesModeSeg.querySelector('button[data-mode="board"]');
+  attachUiTip(off, 'Notes: Off — hide note names.');
+  attachUiTip(hov, 'Notes: Hover — show note names on hover.');
+  attachUiTip(board, 'Notes: Board — show the Note Board under the tab.');
+}
+
+// Interpret
+if (notesInterpretSeg) {
+  const fingered = notesInterpretSeg.querySelector('button[data-mode="fingered"]');
+  const sounding = notesInterpretSeg.querySelector('button[data-mode="sounding"]');
+  attachUiTip(fingered, 'Fingered — notes reflect the frets you entered (ignores capo).');
+  attachUiTip(sounding, 'Sounding — notes include capo (pitch is what you actually hear).');
+  const degrees = notesInterpretSeg.querySelector('button[data-mode="degrees"]');
+  attachUiTip(degrees, 'Degrees — scale degrees (1, b3, 5, b7) of the sounding notes in the section\'s key; out-of-key notes are highlighted.');
+}
+
+// Fretboard
+if (fretboardSeg) {
+  const off = fretboardSeg.querySelector('button[data-mode="off"]');
+  const panel = fretboardSeg.querySelector('button[data-mode="panel"]');
+  attachUiTip(off, 'Fretboard: Off — hide the fretboard panel.');
+  attachUiTip(panel, 'Fretboard: Panel — the cursor column on a chord box or neck; click a fret to enter it, click a dot to remove it.');
+}
+
+// Spelling
+if (spellingSeg) {
+  const sharps = spellingSeg.querySelector('button[data-mode="sharps"]');
+  const flats = spellingSeg.querySelector('button[data-mode="flats"]');
+  const auto = spellingSeg.querySelector('button[data-mode="auto"]');
+  attachUiTip(sharps, 'Spelling: ♯ — name black-key notes with sharps (A#, D#).');
+  attachUiTip(flats, 'Spelling: ♭ — name black-key notes with flats (Bb, Eb).');
+  attachUiTip(auto, 'Spelling: Auto — follow the key signature of each section\'s key (flats in F, Bb, Eb, Dm...).');
+}
+
+// Chords
+if (chordsModeSeg) {
+  const off = chordsModeSeg.querySelector('button[data-mode="off"]');
+  const hov = chordsModeSeg.querySelector('button[data-mode="hover"]');
+  attachUiTip(off, 'Chords: Off — hide chord labels.');
+  attachUiTip(hov, 'Chords: Hover — infer chord labels from notes in each column (WIP).');
+  const lane = chordsModeSeg.querySelector('button[data-mode="lane"]');
+  attachUiTip(lane, 'Chords: Lane — show every chord change above the strum lane. Double-click a label to pin or rename it.');
+}
+
+// Capo
+attachUiTip(capoInput, 'Capo affects Sounding notes and chord inference.');
+
+// Rhythm
+if (rhythmModeSeg) {
+  const off = rhythmModeSeg.querySelector('button[data-mode="off"]');
+  const lane = rhythmModeSeg.querySelector('button[data-mode="lane"]');
+  attachUiTip(off, 'Rhythm: Off — hide the duration lane.');
+  attachUiTip(lane, 'Rhythm: Lane — a duration per column; bars that do not add up are underlined.');
+}
+attachUiTip(timeSigInput, 'Time signature of the section at the cursor (or the whole song before the first marker).');
+attachUiTip(keyInput, 'Key of the section at the cursor (or the whole song before the first marker). Leave empty to detect it from the notes.');
+attachUiTip(autoBarsBtn, 'Rebuild bar dividers from the rhythm lane durations.');
+attachUiTip(exportSvgBtn, 'Save the tab (or the selected columns) as an SVG image in the current theme.');
+attachUiTip(exportPngBtn, 'Save the tab (or the selected columns) as a high-resolution PNG in the current theme.');
+attachUiTip(playBtn, 'Play from the cursor, or the selected columns (Space). Columns without durations play as eighths.');
+
+instrumentSelect.addEventListener('change', () => {
+  const type = instrumentSelect.value;
+  populateTuningSelect();
+  const tn = Object.keys(instrumentDef(type).tunings)[0];
+  tuningSelect.value = tn;
+  applyInstrumentAndTuning(type, tn);
+});
+
+tuningSelect.addEventListener('change', () => {
+  applyInstrumentAndTuning(instrumentSelect.value, tuningSelect.value);
+});
+
+if (retabModeSeg) {
+  setSegActive(retabModeSeg, retabMode);
+  retabModeSeg.addEventListener('click', (e) => {
+    const b = e.target.closest('button');
+    if (!b) return;
+    retabMode = b.dataset.mode;
+    setSegActive(retabModeSeg, retabMode);
+    try { localStorage.setItem(LS_RETAB_MODE, retabMode); } catch (_) {}
+  });
+  attachUiTip(retabModeSeg.querySelector('button[data-mode="frets"]'), 'Changing tuning keeps the fret numbers; notes on retuned strings change pitch.');
+  attachUiTip(retabModeSeg.querySelector('button[data-mode="pitches"]'), 'Changing tuning or instrument keeps every pitch: frets are recomputed and notes move to other strings when needed.');
+}
+
+if (playabilityBtn) {
+  playabilityBtn.addEventListener('click', () => {
+    playPanelOpen = !playPanelOpen;
+    render();
+  });
+  attachUiTip(playabilityBtn, 'List columns that can\'t be played as written: frets past the neck, wide stretches, too many fingers, cells that don\'t parse.');
+}
+
+function setPlayabilityLimit(key, input, min, max) {
+  const n = parseInt(input.value, 10);
+  if (Number.isFinite(n)) {
+    playability = { ...playability, [key]: clamp(n, min, max) };
+    savePlayabilityOptions(playability);
+    playabilityCache = null;
+  }
+  input.value = playability[key];
+  render();
+}
+
+if (refingerBtn) {
+  refingerBtn.addEventListener('click', openRefinger);
+  attachUiTip(refingerBtn, 'Suggest other strings and frets for the selected phrase at the same pitches, previewed on the tab.');
+}
+
+if (stretchInput && fingersInput) {
+  stretchInput.addEventListener('change', () => setPlayabilityLimit('stretch', stretchInput, 1, 12));
+  fingersInput.addEventListener('change', () => setPlayabilityLimit('fingers', fingersInput, 1, 5));
+  attachUiTip(stretchInput, 'Widest gap in frets between the lowest and highest fretted note of a column.');
+  attachUiTip(fingersInput, 'Fingers for fretted notes; a barre on the lowest fret counts as one.');
+}
+
+timeSigInput.addEventListener('change', () => {
+  const ts = parseTimeSig(timeSigInput.value);
+  if (!ts) {
+    alert('Time signature should look like 4/4, 3/4, 6/8 or 7/8.');
+    render();
+    return;
+  }
+  pushHistory();
+  const value = `${ts.num}/${ts.den}`;
+  const section = sectionMarkerAt(cursor.col);
+  if (section) section.timeSig = value;
+  else doc.rhythm.timeSig = value;
+  render();
+});
+
+keyInput.addEventListener('change', () => {
+  const text = keyInput.value.trim();
+  const key = parseKey(text);
+  if (text && !key) {
+    alert('Key should look like C, F#, Bb (major) or Am, C#m (minor). Leave it empty to detect it.');
+    render();
+    return;
+  }
+  pushHistory();
+  const section = sectionMarkerAt(cursor.col);
+  const target = section || doc;
+  if (key) target.key = formatKey(key);
+  else delete target.key;
+  render();
+});
+
+tempoInput.addEventListener('change', () => {
+  pushHistory();
+  doc.rhythm.tempo = clamp(parseInt(tempoInput.value || '100', 10) || 100, 20, 300);
+  tempoInput.value = String(doc.rhythm.tempo);
+});
+
+playBtn.addEventListener('click', () => {
+  if (playback) stopPlayback();
+  else startPlayback();
+});
+
+capoInput.addEventListener('change', () => {
+  pushHistory();
+  doc.capo.fret = clamp(parseInt(capoInput.value || '0', 10) || 0, 0, 12);
+  render();
+});
+
+newBtn.addEventListener('click', () => {
+  if (!confirm('Start a new Tabd project? (Current work will be lost unless saved)')) return;
+  stopPlayback();
+  history = [];
+  future = [];
+  doc = newDoc(instrumentSelect.value);
+  cursor = { lane:'tab', row:0, col:0 };
+  chordStack = false;
+  insertMode = false;
+  syncControlsFromDoc();
+  render();
+});
+
+saveBtn.addEventListener('click', () => {
+  // Saves and exports take the written tab, never a re-finger preview.
+  endRefinger(false);
   // Ensure version metadata is present
   if (!doc.tabd) {
-    doc.tabd = { appVersion: APP_VERSION, formatVersion: APP_FORMAT_VERSION, minAppVersion: '1.0.0', createdUtc: new Date().toISOString() };
+    doc.tabd = { appVersion: APP_VERSION, formatVersion: APP_FORMAT_VERSION, minAppVersion: APP_MIN_READER_VERSION, createdUtc: new Date().toISOString() };
   }
   doc.tabd.appVersion = APP_VERSION;
   doc.tabd.formatVersion = APP_FORMAT_VERSION;
+  doc.tabd.minAppVersion = APP_MIN_READER_VERSION;
   doc.tabd.modifiedUtc = new Date().toISOString();
 
   const name = (doc.meta.title || 'untitled').replace(/[^a-z0-9_-]+/gi, '_');
-  const filename = `${name}.tabd`;
-  downloadText(filename, JSON.stringify(doc, null, 2), 'application/json');
+  const filename = `${name}.tabd`;
+  downloadText(filename, JSON.stringify(doc, null, 2), 'application/json');
+});
+
+openBtn.addEventListener('click', () => {
+  openFile.click();
+});
+
+openFile.addEventListener('change', async () => {
+  const file = openFile.files && openFile.files[0];
+  if (!file) return;
+  try {
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    const ext = (/\.([^.]+)$/.exec(file.name) || [])[1] || '';
+    let parsed;
+    if (GP_EXTENSIONS.has(ext.toLowerCase())) {
+      parsed = await importGuitarPro(new Uint8Array(await readFileAsArrayBuffer(file)), baseName);
+      if (!parsed) return;
+    } else {
+      const text = await readFileAsText(file);
+      parsed = /^\s*\{/.test(text) ? JSON.parse(text) : importAsciiTab(text, baseName);
+    }
+
+    // Basic validation
+    if (!parsed || parsed.format !== 'TabdProject') throw new Error('Not a Tabd project file.');
+
+    // Version compatibility check (non-blocking; prevents silent corruption)
+    const minReq = parsed.tabd && parsed.tabd.minAppVersion ? String(parsed.tabd.minAppVersion) : null;
+    if (minReq) {
+      const cmp = (a,b) => {
+        const pa = a.split('.').map(n=>parseInt(n,10)||0);
+        const pb = b.split('.').map(n=>parseInt(n,10)||0);
+        for (let i=0;i<3;i++){
+          if (pa[i] > pb[i]) return 1;
+          if (pa[i] < pb[i]) return -1;
+        }
+        return 0;
+      };
+      if (cmp(APP_VERSION, minReq) < 0) {
+        throw new Error(`This project requires Tabd v${minReq} or later.`);
+      }
+    }
+
+    if (!parsed.markers) parsed.markers = [];
+    migrateDoc(parsed);
+    ensureInstrumentPitches(parsed);
+    stopPlayback();
+    doc = parsed;
+    history = [];
+    future = [];
+    cursor = { lane:'tab', row:0, col:0 };
+    chordStack = false;
+    insertMode = false;
+
+    syncControlsFromDoc();
+    render();
+  } catch (err) {
+    alert('Open failed: ' + (err && err.message ? err.message : String(err)));
+  } finally {
+    openFile.value = '';
+  }
+});
+
+addColsBtn.addEventListener('click', () => {
+  pushHistory();
+  const prevLen = doc.columns.length;
+  for (let i = 0; i < 16; i++) {
+    doc.columns.push({ notes: [], strum: '' });
+  }
+  // Jump cursor to the first newly added column so the user immediately sees the extension.
+  cursor.col = prevLen;
+  cursor.col = clamp(cursor.col, 0, doc.columns.length - 1);
+  render();
+
+  // Ensure the new columns are visible in the horizontal scroll region.
+  if (canvasWrap) {
+    // Scroll to show the cursor column near the right side.
+    const targetX = colStartX(buildColumnPixelWidths(18).widths, cursor.col, 54);
+    const viewLeft = canvasWrap.scrollLeft;
+    const viewW = canvasWrap.clientWidth;
+    const pad = 80;
+    if (targetX > viewLeft + viewW - pad) canvasWrap.scrollLeft = Math.max(0, targetX - (viewW - pad));
+  }
+});
+
+
+
+insertColBtn && insertColBtn.addEventListener('click', () => {
+  pushHistory();
+  const hasSel = colSel && Number.isInteger(colSel.startCol) && Number.isInteger(colSel.endCol);
+  const start = hasSel ? Math.min(colSel.startCol, colSel.endCol) : cursor.col;
+  const pos = clamp(start, 0, doc.columns.length);
+  doc.columns.splice(pos, 0, { notes: [], strum: '' });
+  shiftMarkers(pos, +1);
+  cursor.col = clamp(pos, 0, doc.columns.length - 1);
+  render();
+});
+
+deleteColBtn && deleteColBtn.addEventListener('click', () => {
+  const hasSel = colSel && Number.isInteger(colSel.startCol) && Number.isInteger(colSel.endCol);
+  let start, end;
+  if (hasSel) {
+    start = Math.min(colSel.startCol, colSel.endCol);
+    end = Math.max(colSel.startCol, colSel.endCol);
+  } else {
+    start = cursor.col;
+    end = cursor.col;
+  }
+  start = clamp(start, 0, doc.columns.length - 1);
+  end = clamp(end, 0, doc.columns.length - 1);
+  const count = (end - start + 1);
+  if (count <= 0) return;
+  pushHistory();
+  doc.columns.splice(start, count);
+  removeMarkersInRange(start, end);
+  shiftMarkers(end + 1, -count);
+  if (doc.columns.length === 0) doc.columns.push({ notes: [], strum: '' });
+  cursor.col = clamp(start, 0, doc.columns.length - 1);
+  clearColSel();
+  render();
+});
+
+
+addDividerBtn.addEventListener('click', () => {
+  pushHistory();
+  const sel = colSel ? { start: Math.min(colSel.startCol, colSel.endCol) } : null;
+  const at = sel ? sel.start : clamp(cursor.col, 0, doc.columns.length);
+  doc.columns.splice(at, 0, { notes: [], strum: '', divider: true });
+  shiftMarkers(at, 1);
+  cursor.col = clamp(at, 0, doc.columns.length - 1);
+  colSel = { startCol: at, endCol: at };
+  render();
+});
+
+addMarkerBtn.addEventListener('click', () => {
+  ensureMarkers();
+  const sel = colSel ? { start: Math.min(colSel.startCol, colSel.endCol) } : null;
+  const at = sel ? sel.start : clamp(cursor.col, 0, doc.columns.length - 1);
+  // if marker exists at column, rename it
+  let existing = doc.markers.find(m => m && m.col === at);
+  const name = prompt(existing ? 'Rename marker' : 'Marker name', existing ? (existing.name || '') : '');
+  if (name === null) return;
+  const nm = String(name).trim();
+  if (!nm) return;
+  pushHistory();
+  if (existing) {
+    existing.name = nm;
+  } else {
+    doc.markers.push({ id: nextMarkerId(), name: nm, col: at });
+  }
+  render();
+});
+
+
+autoBarsBtn.addEventListener('click', () => {
+  if (!columnTicks().some(t => t > 0)) {
+    alert('Add durations in the rhythm lane first (Rhythm: Lane).');
+    return;
+  }
+  pushHistory();
+  autoPlaceBars();
+  clearColSel();
+  cursor.col = clamp(cursor.col, 0, doc.columns.length - 1);
+  render();
+});
+
+exportBtn.addEventListener('click', () => {
+  endRefinger(false);
+  commitDigitBuffer();
+  openAsciiExport();
+});
+
+exportXmlBtn.addEventListener('click', () => {
+  endRefinger(false);
+  const xml = exportMusicXml();
+  const name = (doc.meta.title || 'untitled').replace(/[^a-z0-9_-]+/gi, '_');
+  downloadText(`${name}.musicxml`, xml, 'application/vnd.recordare.musicxml+xml');
+});
+
+exportPdfBtn.addEventListener('click', () => {
+  endRefinger(false);
+  const bytes = exportPdf();
+  const name = (doc.meta.title || 'untitled').replace(/[^a-z0-9_-]+/gi, '_');
+  downloadBlob(`${name}.pdf`, new Blob([bytes], { type: 'application/pdf' }));
+});
+
+exportSvgBtn.addEventListener('click', () => {
+  endRefinger(false);
+  commitDigitBuffer();
+  const svg = exportSvg();
+  const name = (doc.meta.title || 'untitled').replace(/[^a-z0-9_-]+/gi, '_');
+  downloadText(`${name}.svg`, svg, 'image/svg+xml');
+});
+
+exportPngBtn.addEventListener('click', async () => {
+  endRefinger(false);
+  commitDigitBuffer();
+  const name = (doc.meta.title || 'untitled').replace(/[^a-z0-9_-]+/gi, '_');
+  try {
+    downloadBlob(`${name}.png`, await exportPng());
+  } catch (err) {
+    alert(`PNG export failed: ${err.message}`);
+  }
 });
 
-openBtn.addEventListener('click', () => {
-  openFile.click();
+exportMidiBtn.addEventListener('click', () => {
+  endRefinger(false);
+  const bytes = exportMidi();
+  const name = (doc.meta.title || 'untitled').replace(/[^a-z0-9_-]+/gi, '_');
+  downloadBlob(`${name}.mid`, new Blob([bytes], { type: 'audio/midi' }));
 });
 
-openFile.addEventListener('change', async () => {
-  const file = openFile.files && openFile.files[0];
-  if (!file) return;
+function asciiLayout(above = null) {
+  // Character layout shared by the text and PDF exports. `above`: optional per-column labels
+  // (see asciiAboveLabels) that widen their columns so the line above stays aligned.
+  // colCharWidth() caps at 4 for the canvas; text has no such limit, so never cut a token short.
+  const widths = doc.columns.map((col, i) => {
+    const w = colCharWidth(i);
+    if (!col || col.divider) return w;
+    const toks = [col.strum || '', col.dur || '', ...doc.instrument.strings.map((_, r) => cellToken(col, r))];
+    if (above && above[i]) toks.push(above[i]);
+    return Math.max(w, ...toks.map(t => String(t).trim().length));
+  });
+  // String labels can differ in width (e.g. 'F#' on 8-string guitar); pad so bars line up.
+  const names = songNoteNames();
+  const labels = doc.instrument.strings.map((_, r) => stringLabelAt(r, names));
+  const labelW = Math.max(...labels.map(l => String(l).length));
+  return { widths, labelW, labels };
+}
+
+function asciiSystemLines(start, end, layout, opts = {}) {
+  // Text lines for columns start..end: the optional `above` line (note or chord names), strum
+  // line (if any strums), one line per string, rhythm line (if any explicit durations).
+  // Every column but a divider is followed by one '-' so neighbouring tokens never run together
+  // ("3" then "5" must not read as fret 35); importAsciiTab() relies on it.
+  // opts.labels: print string labels (default true). opts.closed: end with a barline (default
+  // true); a system that stops mid-bar is left open so the importer does not add a divider.
+  const { labels = true, closed = true, above = null } = opts;
+  const { widths, labelW, labels: stringLabels } = layout;
+  const cols = doc.columns.slice(start, end + 1);
+  const cell = (tok, i) => doc.columns[i] && doc.columns[i].divider ? '|' : padToken(tok, widths[i] + 1);
+  const sideLine = (pick) => {
+    let s = ' '.repeat(labelW + 1); // left padding to align above strings
+    for (let i = start; i <= end; i++) s += cell(pick(doc.columns[i]), i);
+    return s;
+  };
+
+  const lines = [];
+  if (above && above.slice(start, end + 1).some(Boolean)) {
+    let s = ' '.repeat(labelW + 1);
+    for (let i = start; i <= end; i++) {
+      s += doc.columns[i] && doc.columns[i].divider ? ' ' : (above[i] || '').padEnd(widths[i] + 1);
+    }
+    lines.push(s.replace(/\s+$/, ''));
+  }
+  if (cols.some(c => (c.strum || '').trim() !== '')) {
+    lines.push(sideLine(c => (c.strum || '').trim()));
+  }
+
+  stringLabels.forEach((stringLabel, r) => {
+    let line = `${(labels ? String(stringLabel) : '').padEnd(labelW)}|`;
+    for (let i = start; i <= end; i++) line += cell(cellToken(doc.columns[i], r), i);
+    if (closed) line += '|';
+    lines.push(line);
+  });
+
+  // Rhythm line (explicit durations), below the strings like a second strum line
+  if (cols.some(c => c && !c.divider && (c.dur || '').trim() !== '')) {
+    lines.push(sideLine(c => (c.dur || '').trim()));
+  }
+  return lines;
+}
+
+const ASCII_EXPORT_DEFAULTS = { maxWidth: 0, breakAtDividers: true, repeatLabels: true, markerHeaders: false, above: 'none' };
+
+function loadAsciiExportOptions() {
   try {
-    const text = await readFileAsText(file);
-    const parsed = JSON.parse(text);
+    const raw = localStorage.getItem(LS_ASCII_EXPORT);
+    const saved = raw ? JSON.parse(raw) : {};
+    return { ...ASCII_EXPORT_DEFAULTS, ...(saved && typeof saved === 'object' ? saved : {}) };
+  } catch (_) {
+    return { ...ASCII_EXPORT_DEFAULTS };
+  }
+}
 
-    // Basic validation
-    if (!parsed || parsed.format !== 'TabdProject') throw new Error('Not a Tabd project file.');
+function saveAsciiExportOptions(opts) {
+  try { localStorage.setItem(LS_ASCII_EXPORT, JSON.stringify(opts)); } catch (_) {}
+}
 
-    // Version compatibility check (non-blocking; prevents silent corruption)
-    const minReq = parsed.tabd && parsed.tabd.minAppVersion ? String(parsed.tabd.minAppVersion) : null;
-    if (minReq) {
-      const cmp = (a,b) => {
-        const pa = a.split('.').map(n=>parseInt(n,10)||0);
-        const pb = b.split('.').map(n=>parseInt(n,10)||0);
-        for (let i=0;i<3;i++){
-          if (pa[i] > pb[i]) return 1;
-          if (pa[i] < pb[i]) return -1;
+function asciiAboveLabels(mode) {
+  // Per-column text for the line above the tab: the highest note's name, or the chord lane
+  // (inferred chords where they change, plus hand-set labels). Follows the Note Board's
+  // fingered/sounding interpretation.
+  if (mode !== 'notes' && mode !== 'chords') return null;
+  const chordLabels = mode === 'chords' ? chordLaneLabels() : null;
+  return doc.columns.map((col, i) => {
+    if (!col || col.divider) return '';
+    if (mode === 'notes') {
+      const midis = columnSoundingMidis(i);
+      return midis.length ? midiToPitch(Math.max(...midis), noteNamesAt(i)) : '';
+    }
+    return chordLabels[i];
+  });
+}
+
+function exportAscii(opts = {}) {
+  // opts (see ASCII_EXPORT_DEFAULTS): maxWidth in characters (0 = one line per string),
+  // breakAtDividers, repeatLabels, markerHeaders, above: 'none' | 'notes' | 'chords'.
+  const o = { ...ASCII_EXPORT_DEFAULTS, ...opts };
+  const above = asciiAboveLabels(o.above);
+  const layout = asciiLayout(above);
+  const wrap = o.maxWidth > 0;
+  const systems = (wrap || o.markerHeaders)
+    ? tabSystems(wrap ? o.maxWidth : Infinity, layout, { breakAtDividers: o.breakAtDividers, sections: o.markerHeaders })
+    : [{ start: 0, end: doc.columns.length - 1, closed: true, headings: [] }];
+
+  const lines = [];
+  systems.forEach((sys, i) => {
+    if (i > 0) lines.push('');
+    if (o.markerHeaders && sys.headings.length) lines.push(sys.headings.join(' / '));
+    lines.push(...asciiSystemLines(sys.start, sys.end, layout, { labels: o.repeatLabels || i === 0, closed: sys.closed, above }));
+  });
+
+  // Capo header (optional) goes at top
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  if (capo > 0) {
+    const mode = doc.capo.mode || 'relative';
+    lines.unshift(`Capo ${capo} (${mode} frets)`, '');
+  }
+
+  return lines.join('\n');
+}
+
+function tabSystems(maxChars, layout, opts = {}) {
+  // Wrap the song into systems no wider than maxChars (label + barlines included). Systems end
+  // at bar dividers (the divider becomes the closing barline) or, with breakAtDividers off,
+  // between any two columns; a bar too wide for one line is split between columns. With
+  // `sections`, a marker always starts a new system so it can head its section.
+  // Returns [{ start, end, closed, headings }]; `closed` is false when a system stops mid-bar.
+  const { breakAtDividers = true, sections = true } = opts;
+  const { widths, labelW } = layout;
+  const n = doc.columns.length;
+  const isDivider = (i) => !!(doc.columns[i] && doc.columns[i].divider);
+
+  // Marker names by the first non-divider column they head.
+  const headingAt = new Map();
+  for (const m of (doc.markers || [])) {
+    if (!m || !(m.name || '').trim()) continue;
+    let c = m.col;
+    while (c < n && isDivider(c)) c++;
+    if (c >= n) continue;
+    if (!headingAt.has(c)) headingAt.set(c, []);
+    headingAt.get(c).push(m.name.trim());
+  }
+
+  // Units: runs of columns that must stay on one line.
+  const units = [];
+  let unit = null;
+  for (let i = 0; i < n; i++) {
+    if (isDivider(i)) {
+      // A divider closing a bar is drawn between units (or as the closing barline); one that
+      // follows another divider or opens the song is kept as a column of its own.
+      if (unit) unit.closed = true;
+      else unit = { start: i, end: i, width: 1, closed: true, section: false };
+      units.push(unit);
+      unit = null;
+      continue;
+    }
+    const section = sections && headingAt.has(i);
+    if (unit && (section || !breakAtDividers)) { units.push(unit); unit = null; }
+    if (!unit) unit = { start: i, end: i, width: 0, closed: false, section };
+    unit.end = i;
+    unit.width += widths[i] + 1;
+  }
+  if (unit) { unit.closed = true; units.push(unit); }
+
+  const room = Math.max(8, maxChars - labelW - 2);
+  const systems = [];
+  let cur = null;
+  for (const un of units) {
+    const join = cur && cur.closed ? 1 : 0; // the divider drawn between them
+    if (cur && (un.section || cur.width + join + un.width > room)) { systems.push(cur); cur = null; }
+    if (!cur && un.width > room) {
+      // Split an over-long bar at column boundaries.
+      let part = null;
+      for (let i = un.start; i <= un.end; i++) {
+        if (part && part.width + widths[i] + 1 > room) { systems.push(part); part = null; }
+        if (!part) part = { start: i, end: i, width: 0, closed: false };
+        part.end = i;
+        part.width += widths[i] + 1;
+      }
+      part.closed = un.closed;
+      systems.push(part);
+      continue;
+    }
+    if (!cur) cur = { start: un.start, end: un.end, width: un.width, closed: un.closed };
+    else { cur.end = un.end; cur.width += join + un.width; cur.closed = un.closed; }
+  }
+  if (cur) systems.push(cur);
+  // A trailing divider stays visible ("||"), as in the unwrapped export.
+  const last = systems[systems.length - 1];
+  if (last && isDivider(n - 1) && last.end < n - 1) { last.end = n - 1; last.width += 1; }
+
+  for (const sys of systems) {
+    sys.headings = [];
+    for (let i = sys.start; i <= sys.end; i++) if (headingAt.has(i)) sys.headings.push(...headingAt.get(i));
+  }
+  return systems;
+}
+
+// -------------------------
+// PDF export (print layout)
+// -------------------------
+// A4 portrait in points. Tab is set in Courier so the text layout carries over unchanged.
+const PDF_PAGE = { w: 595, h: 842, margin: 48 };
+const PDF_TAB_SIZE = 9;
+const PDF_FONTS = { mono: 'F1', sans: 'F2', bold: 'F3' };
+
+function pdfString(text) {
+  // WinAnsi text for a standard-14 font; strum arrows fall back to D/U, other symbols to '?'.
+  const t = String(text).replace(/↓/g, 'D').replace(/↑/g, 'U');
+  let out = '';
+  for (const ch of t) {
+    const code = ch.codePointAt(0);
+    const c = code > 255 ? '?' : ch;
+    out += (c === '\\' || c === '(' || c === ')') ? '\\' + c : c;
+  }
+  return `(${out})`;
+}
+
+function buildPdf(pages) {
+  // pages: [[{ font, size, x, y, text }]] with y measured from the top of the page.
+  const objects = [];
+  const add = (body) => { objects.push(body); return objects.length; };
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontIds = {
+    [PDF_FONTS.mono]: add('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'),
+    [PDF_FONTS.sans]: add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'),
+    [PDF_FONTS.bold]: add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'),
+  };
+  const fontRes = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+  const pageIds = pages.map(items => {
+    const ops = items.map(it => `BT /${it.font} ${it.size} Tf ${it.x.toFixed(2)} ${(PDF_PAGE.h - it.y).toFixed(2)} Td ${pdfString(it.text)} Tj ET`);
+    const stream = ops.join('\n');
+    const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PDF_PAGE.w} ${PDF_PAGE.h}] /Resources << /Font << ${fontRes} >> >> /Contents ${contentId} 0 R >>`);
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Content is single-byte text, so string length equals byte length for the xref offsets.
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(out.length);
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefAt = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+  const bytes = new Uint8Array(out.length);
+  for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+function exportPdf() {
+  // Title block, then the tab wrapped into systems at bar dividers; markers head their sections.
+  const charW = PDF_TAB_SIZE * 0.6; // Courier advance width
+  const lineH = PDF_TAB_SIZE + 2;
+  const usable = PDF_PAGE.w - PDF_PAGE.margin * 2;
+  const layout = asciiLayout();
+  const systems = tabSystems(Math.floor(usable / charW), layout);
+
+  const pages = [[]];
+  let y = PDF_PAGE.margin;
+  const page = () => pages[pages.length - 1];
+  const text = (font, size, x, t) => page().push({ font, size, x, y, text: t });
+
+  const title = (doc.meta && doc.meta.title) || 'Untitled';
+  y += 18;
+  text(PDF_FONTS.bold, 18, PDF_PAGE.margin, title);
+  y += 16;
+  const inst = instrumentDef(doc.instrument.type);
+  const names = songNoteNames();
+  const openPitches = doc.instrument.pitches.map(p => midiToPitch(pitchToMidi(p), names));
+  const tuning = `${inst.label} - ${doc.instrument.tuningName}: ${openPitches.reverse().join(' ')}`;
+  text(PDF_FONTS.sans, 10, PDF_PAGE.margin, tuning);
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  const ts = parseTimeSig(doc.rhythm && doc.rhythm.timeSig) || { num: 4, den: 4 };
+  const details = [capo > 0 ? `Capo ${capo}` : '', `Tempo ${songTempo()}`, `${ts.num}/${ts.den}`].filter(Boolean).join('   ');
+  y += 13;
+  text(PDF_FONTS.sans, 10, PDF_PAGE.margin, details);
+  y += 10;
+
+  for (const sys of systems) {
+    const lines = asciiSystemLines(sys.start, sys.end, layout, { closed: sys.closed });
+    const need = (sys.headings.length ? 18 : 0) + lines.length * lineH + 12;
+    if (y + need > PDF_PAGE.h - PDF_PAGE.margin && page().length) {
+      pages.push([]);
+      y = PDF_PAGE.margin;
+    }
+    y += 12;
+    if (sys.headings.length) {
+      y += 6;
+      text(PDF_FONTS.bold, 11, PDF_PAGE.margin, sys.headings.join(' / '));
+      y += 12;
+    }
+    for (const line of lines) {
+      text(PDF_FONTS.mono, PDF_TAB_SIZE, PDF_PAGE.margin, line);
+      y += lineH;
+    }
+  }
+
+  pages.forEach((items, i) => {
+    items.push({ font: PDF_FONTS.sans, size: 8, x: PDF_PAGE.margin, y: PDF_PAGE.h - PDF_PAGE.margin / 2, text: `${title} - page ${i + 1} of ${pages.length}` });
+  });
+  return buildPdf(pages);
+}
+
+// -------------------------
+// Image export (SVG / PNG)
+// -------------------------
+// paintTab() only uses the small part of CanvasRenderingContext2D below, so the same drawing
+// code can record SVG elements instead of pixels. PNG goes through an offscreen canvas.
+const IMAGE_SCALE_MIN = 2; // PNG pixels per CSS pixel, at least; sharp on HiDPI screens
+
+function createSvgSurface(width, height) {
+  const parts = [];
+  const clips = [];
+  const stack = [];
+  let state = { fillStyle: '#000', strokeStyle: '#000', lineWidth: 1, font: '10px sans-serif', globalAlpha: 1, clip: null };
+  let path = '';
+  let px = 0, py = 0; // current point, for arcTo
+  const num = (n) => String(Math.round(n * 100) / 100);
+  const common = () => {
+    let a = '';
+    if (state.globalAlpha < 1) a += ` opacity="${num(state.globalAlpha)}"`;
+    if (state.clip) a += ` clip-path="url(#${state.clip})"`;
+    return a;
+  };
+  const paint = (attr, color) => {
+    // rgba() is split into rgb() plus an opacity; not every SVG consumer reads CSS4 colours.
+    const m = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(String(color).trim());
+    if (!m) return `${attr}="${xmlEscape(color)}"`;
+    return `${attr}="rgb(${m[1]},${m[2]},${m[3]})" ${attr}-opacity="${num(parseFloat(m[4]))}"`;
+  };
+  const fillAttr = () => paint('fill', state.fillStyle);
+  const strokeAttr = () => `fill="none" ${paint('stroke', state.strokeStyle)} stroke-width="${num(state.lineWidth)}"`;
+  const rect = (x, y, w, h) => `x="${num(x)}" y="${num(y)}" width="${num(Math.max(0, w))}" height="${num(Math.max(0, h))}"`;
+
+  const g = {
+    canvas: { width, height },
+    save() { stack.push({ ...state }); },
+    restore() { if (stack.length) state = stack.pop(); },
+    setTransform() {},
+    clearRect() {},
+    fillRect(x, y, w, h) { parts.push(`<rect ${rect(x, y, w, h)} ${fillAttr()}${common()}/>`); },
+    strokeRect(x, y, w, h) { parts.push(`<rect ${rect(x, y, w, h)} ${strokeAttr()}${common()}/>`); },
+    fillText(text, x, y) {
+      parts.push(`<text x="${num(x)}" y="${num(y)}" style="font:${xmlEscape(state.font)};white-space:pre" ${fillAttr()}${common()}>${xmlEscape(text)}</text>`);
+    },
+    measureText(text) {
+      // Same fonts as the editor canvas, so measure there.
+      canvasCtx.font = state.font;
+      return canvasCtx.measureText(text);
+    },
+    beginPath() { path = ''; },
+    moveTo(x, y) { path += `M${num(x)} ${num(y)}`; px = x; py = y; },
+    lineTo(x, y) { path += `L${num(x)} ${num(y)}`; px = x; py = y; },
+    closePath() { path += 'Z'; },
+    rect(x, y, w, h) { path += `M${num(x)} ${num(y)}h${num(w)}v${num(h)}h${num(-w)}Z`; px = x; py = y; },
+    arcTo(x1, y1, x2, y2, r) {
+      // Tangent points on (current point -> p1) and (p1 -> p2), joined by an arc of radius r.
+      const ax = px - x1, ay = py - y1, bx = x2 - x1, by = y2 - y1;
+      const la = Math.hypot(ax, ay), lb = Math.hypot(bx, by);
+      const cross = ax * by - ay * bx;
+      if (!r || !la || !lb || !cross) { this.lineTo(x1, y1); return; }
+      const angle = Math.acos(clamp((ax * bx + ay * by) / (la * lb), -1, 1));
+      const d = r / Math.tan(angle / 2);
+      const t1x = x1 + ax / la * d, t1y = y1 + ay / la * d;
+      const t2x = x1 + bx / lb * d, t2y = y1 + by / lb * d;
+      path += `L${num(t1x)} ${num(t1y)}A${num(r)} ${num(r)} 0 0 ${cross < 0 ? 1 : 0} ${num(t2x)} ${num(t2y)}`;
+      px = t2x; py = t2y;
+    },
+    clip() {
+      const id = `clip${clips.length + 1}`;
+      clips.push(`<clipPath id="${id}"><path d="${path}"/></clipPath>`);
+      state.clip = id;
+    },
+    fill() { if (path) parts.push(`<path d="${path}" ${fillAttr()}${common()}/>`); },
+    stroke() { if (path) parts.push(`<path d="${path}" ${strokeAttr()}${common()}/>`); },
+    toSvg() {
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" viewBox="0 0 ${num(width)} ${num(height)}">`,
+        clips.length ? `<defs>${clips.join('')}</defs>` : '',
+        ...parts,
+        '</svg>',
+        '',
+      ].filter(l => l !== '').join('\n') + '\n';
+    },
+  };
+  for (const key of ['fillStyle', 'strokeStyle', 'lineWidth', 'font', 'globalAlpha']) {
+    Object.defineProperty(g, key, { get: () => state[key], set: (v) => { state[key] = v; } });
+  }
+  return g;
+}
+
+function tabImageView() {
+  // The selected columns (colSel) or the whole song, laid out exactly as on the canvas but
+  // without the editing highlights.
+  readColors();
+  const L = getLayout();
+  const sel = colSel ? [Math.min(colSel.startCol, colSel.endCol), Math.max(colSel.startCol, colSel.endCol)] : null;
+  const start = sel ? clamp(sel[0], 0, doc.columns.length - 1) : 0;
+  const end = sel ? clamp(sel[1], 0, doc.columns.length - 1) + 1 : doc.columns.length;
+  const { widths, charW } = buildColumnPixelWidths(TAB_FONTS.tab);
+  const colPx = widths.map((w, i) => (i >= start && i < end) ? w : 0);
+  const width = Math.ceil(L.marginL + colPx.reduce((a, b) => a + b, 0) + 18);
+  return { width, height: L.height, colPx, charW, start, end, editing: false };
+}
+
+function paintTo(surface, view) {
+  const prev = ctx;
+  ctx = surface;
+  try {
+    paintTab(view);
+  } finally {
+    ctx = prev;
+  }
+}
+
+function exportSvg() {
+  const view = tabImageView();
+  const surface = createSvgSurface(view.width, view.height);
+  paintTo(surface, view);
+  return surface.toSvg();
+}
+
+function exportPng() {
+  // Resolves to a PNG Blob at IMAGE_SCALE_MIN or the screen's pixel ratio, whichever is higher.
+  const view = tabImageView();
+  const scale = Math.max(IMAGE_SCALE_MIN, window.devicePixelRatio || 1);
+  const out = document.createElement('canvas');
+  out.width = Math.ceil(view.width * scale);
+  out.height = Math.ceil(view.height * scale);
+  const g = out.getContext('2d');
+  g.setTransform(scale, 0, 0, scale, 0, 0);
+  paintTo(g, view);
+  return new Promise((resolve, reject) => {
+    out.toBlob(b => b ? resolve(b) : reject(new Error('Could not encode the PNG.')), 'image/png');
+  });
+}
+
+// -------------------------
+// MIDI export (Standard MIDI File, type 1)
+// -------------------------
+function midiVarLen(n) {
+  const bytes = [n & 0x7f];
+  while ((n >>= 7) > 0) bytes.unshift((n & 0x7f) | 0x80);
+  return bytes;
+}
+
+function midiTrackChunk(events) {
+  // events: [{ tick, data: [bytes] }], already sorted. Appends End of Track.
+  const body = [];
+  let last = 0;
+  for (const ev of events) {
+    body.push(...midiVarLen(ev.tick - last), ...ev.data);
+    last = ev.tick;
+  }
+  body.push(0x00, 0xff, 0x2f, 0x00);
+  const len = body.length;
+  return [0x4d, 0x54, 0x72, 0x6b, (len >>> 24) & 0xff, (len >>> 16) & 0xff, (len >>> 8) & 0xff, len & 0xff, ...body];
+}
+
+function midiTextEvent(type, text) {
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+  return [0xff, type, ...midiVarLen(bytes.length), ...bytes];
+}
+
+function exportMidi() {
+  // Track 0 carries tempo and time signatures; track 1 holds the instrument's notes.
+  // Pitches are sounding pitches (tuning + capo). Compound tokens such as 5h7 or 5/7
+  // become separate note events that split the column's duration. Ghost notes play softer and
+  // accents harder, palm-muted and staccato notes are cut short, and harmonics sound their node.
+  const ticks = timelineTicks();
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  const rows = doc.instrument.strings.length;
+  const channel = 0;
+
+  const conductor = [];
+  const title = (doc.meta && doc.meta.title) || 'Untitled';
+  conductor.push({ tick: 0, data: midiTextEvent(0x03, title) });
+  const usPerQuarter = Math.round(60000000 / songTempo());
+  conductor.push({ tick: 0, data: [0xff, 0x51, 0x03, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff] });
+
+  const notes = [];
+  let tick = 0;
+  let lastTs = null;
+  const held = new Array(rows).fill(null); // last note-off per string, for ties
+  for (let c = 0; c < doc.columns.length; c++) {
+    const col = doc.columns[c];
+    const ts = timeSigAt(c);
+    const tsKey = `${ts.num}/${ts.den}`;
+    if (tsKey !== lastTs) {
+      conductor.push({ tick, data: [0xff, 0x58, 0x04, ts.num, Math.round(Math.log2(ts.den)), 24, 8] });
+      lastTs = tsKey;
+    }
+    const m = (doc.markers || []).find(mk => mk && mk.col === c && (mk.name || '').trim());
+    if (m) conductor.push({ tick, data: midiTextEvent(0x06, m.name.trim()) });
+
+    const len = ticks[c];
+    if (!col || col.divider || len === 0) continue;
+    for (let r = 0; r < rows; r++) {
+      const note = col.notes[r];
+      const { frets, ok } = tokenToFrets(cellToken(col, r));
+      const openMidi = openMidiForRow(r);
+      const tiedFrom = held[r];
+      held[r] = null;
+      if (!ok || openMidi == null) continue;
+      const pitchOf = (f) => clamp(openMidi + (note.harmonic ? harmonicSemitones(f) : f) + capo, 0, 127);
+      // A tied note holds the previous one on this string instead of striking again.
+      if (note.tie && tiedFrom && frets.length === 1 && tiedFrom.data[1] === pitchOf(frets[0])) {
+        tiedFrom.tick = tick + len;
+        held[r] = tiedFrom;
+        continue;
+      }
+      const velocity = note.ghost ? 56 : note.accent ? 118 : 96;
+      const short = note.palmMute || note.staccato;
+      const step = Math.max(1, Math.floor(len / frets.length));
+      frets.forEach((f, i) => {
+        const start = tick + i * step;
+        const end = (i === frets.length - 1) ? tick + len : start + step;
+        const midi = pitchOf(f);
+        const off = { tick: short ? start + Math.max(1, Math.floor((end - start) / 2)) : end, data: [0x80 | channel, midi, 0] };
+        notes.push({ tick: start, data: [0x90 | channel, midi, velocity] });
+        notes.push(off);
+        held[r] = off;
+      });
+    }
+    tick += len;
+  }
+
+  const inst = instrumentDef(doc.instrument.type);
+  const track = [
+    { tick: 0, data: midiTextEvent(0x03, inst.label) },
+    { tick: 0, data: [0xc0 | channel, inst.midiProgram ?? 25] },
+  ];
+  // Note-offs sort before note-ons on the same tick so repeated notes retrigger cleanly.
+  notes.sort((a, b) => (a.tick - b.tick) || ((a.data[0] & 0xf0) - (b.data[0] & 0xf0)));
+  track.push(...notes);
+
+  const header = [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, 2, (TICKS_PER_QUARTER >> 8) & 0xff, TICKS_PER_QUARTER & 0xff];
+  return new Uint8Array([...header, ...midiTrackChunk(conductor), ...midiTrackChunk(track)]);
+}
+
+// -------------------------
+// MusicXML export (partwise 4.0, single TAB staff)
+// -------------------------
+const XML_NOTE_TYPES = [
+  ['whole', 1920], ['half', 960], ['quarter', 480], ['eighth', 240],
+  ['16th', 120], ['32nd', 60], ['64th', 30],
+];
+
+function xmlEscape(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function xmlNoteType(ticks) {
+  // Returns { type, dotted, triplet } for plain, dotted and triplet values; null otherwise.
+  for (const [type, base] of XML_NOTE_TYPES) {
+    if (ticks === base) return { type, dotted: false, triplet: false };
+    if (ticks === base * 3 / 2) return { type, dotted: true, triplet: false };
+    if (ticks === base * 2 / 3) return { type, dotted: false, triplet: true };
+  }
+  return null;
+}
+
+function xmlPitch(midi, names = CHROMATIC_SHARPS) {
+  const pc = ((midi % 12) + 12) % 12;
+  const name = names[pc];
+  const alter = name[1] === '#' ? 1 : name[1] === 'b' ? -1 : 0;
+  return { step: name[0], alter, octave: Math.floor(midi / 12) - 1 };
+}
+
+function noteSteps(note) {
+  // The frets a note sounds, in order, each with the technique leading to the next one. The
+  // last step carries the bend ("7b9"; a bare "7b" bends a whole tone), its release and the
+  // technique into the next column's note.
+  const steps = [{ fret: note.fret, tech: '', bend: 0 }];
+  for (const st of note.steps || []) {
+    steps[steps.length - 1].tech = st.tech;
+    steps.push({ fret: st.fret, tech: '', bend: 0 });
+  }
+  const last = steps[steps.length - 1];
+  if (note.bend) {
+    last.bend = note.bend;
+    last.release = note.release != null;
+  } else if (note.into === 'bend') last.bend = 2;
+  else if (note.into) last.tech = note.into;
+  return steps;
+}
+
+function exportMusicXml() {
+  // Pitches are sounding pitches (tuning + capo); <fret> stays as written relative to the capo.
+  // Each divider closes a measure. Compound notes split the column into equal steps; a
+  // technique or tie into the next column joins the notes on that string across the columns.
+  const ticks = timelineTicks();
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  const rows = doc.instrument.strings.length;
+  const inst = instrumentDef(doc.instrument.type);
+  const title = (doc.meta && doc.meta.title) || 'Untitled';
+  const out = [];
+  const ind = (n) => '  '.repeat(n);
+
+  out.push('<?xml version="1.0" encoding="UTF-8" standalone="no"?>');
+  out.push('<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">');
+  out.push('<score-partwise version="4.0">');
+  out.push(`${ind(1)}<work><work-title>${xmlEscape(title)}</work-title></work>`);
+  out.push(`${ind(1)}<identification><encoding><software>Tabd ${APP_VERSION}</software></encoding></identification>`);
+  out.push(`${ind(1)}<part-list>`);
+  out.push(`${ind(2)}<score-part id="P1">`);
+  out.push(`${ind(3)}<part-name>${xmlEscape(inst.label)}</part-name>`);
+  out.push(`${ind(3)}<score-instrument id="P1-I1"><instrument-name>${xmlEscape(inst.label)}</instrument-name></score-instrument>`);
+  out.push(`${ind(3)}<midi-instrument id="P1-I1"><midi-channel>1</midi-channel><midi-program>${(inst.midiProgram ?? 25) + 1}</midi-program></midi-instrument>`);
+  out.push(`${ind(2)}</score-part>`);
+  out.push(`${ind(1)}</part-list>`);
+  out.push(`${ind(1)}<part id="P1">`);
+
+  // Measures: column ranges between dividers that hold something to play.
+  const measures = [];
+  let start = 0;
+  for (let c = 0; c <= doc.columns.length; c++) {
+    if (c === doc.columns.length || doc.columns[c].divider) {
+      let sum = 0;
+      for (let i = start; i < c; i++) sum += ticks[i];
+      if (sum > 0) measures.push({ start, end: c - 1 });
+      start = c + 1;
+    }
+  }
+  if (!measures.length) measures.push({ start: 0, end: -1 });
+  // Markers sitting on dividers or empty columns attach to the measure that follows them.
+  const markersFor = (from, to) => (doc.markers || [])
+    .filter(m => m && (m.name || '').trim() && m.col >= from && m.col <= to)
+    .sort((a, b) => a.col - b.col);
+
+  const played = (c) => ticks[c] > 0 && !doc.columns[c].divider;
+  const xmlNoteAt = (c, r) => {
+    const note = c < doc.columns.length && played(c) ? doc.columns[c].notes[r] : null;
+    return note && note.raw == null && note.fret != null && openMidiForRow(r) != null ? note : null;
+  };
+  const nextPlayed = (c) => {
+    let n = c + 1;
+    while (n < doc.columns.length && !played(n)) n++;
+    return n;
+  };
+  const carried = new Array(rows).fill('');
+  const tiedOver = new Array(rows).fill(false);
+
+  let lastTs = null;
+  let prevEnd = -1;
+  measures.forEach((ms, mi) => {
+    out.push(`${ind(2)}<measure number="${mi + 1}">`);
+    const ts = timeSigAt(ms.start);
+    const tsKey = `${ts.num}/${ts.den}`;
+    if (mi === 0) {
+      out.push(`${ind(3)}<attributes>`);
+      out.push(`${ind(4)}<divisions>${TICKS_PER_QUARTER}</divisions>`);
+      out.push(`${ind(4)}<key><fifths>0</fifths></key>`);
+      out.push(`${ind(4)}<time><beats>${ts.num}</beats><beat-type>${ts.den}</beat-type></time>`);
+      out.push(`${ind(4)}<clef><sign>TAB</sign><line>5</line></clef>`);
+      out.push(`${ind(4)}<staff-details>`);
+      out.push(`${ind(5)}<staff-lines>${rows}</staff-lines>`);
+      for (let r = rows - 1; r >= 0; r--) {
+        const p = xmlPitch(openMidiForRow(r) ?? 40, songNoteNames());
+        const alter = p.alter ? `<tuning-alter>${p.alter}</tuning-alter>` : '';
+        out.push(`${ind(5)}<staff-tuning line="${rows - r}"><tuning-step>${p.step}</tuning-step>${alter}<tuning-octave>${p.octave}</tuning-octave></staff-tuning>`);
+      }
+      if (capo > 0) out.push(`${ind(5)}<capo>${capo}</capo>`);
+      out.push(`${ind(4)}</staff-details>`);
+      out.push(`${ind(3)}</attributes>`);
+      out.push(`${ind(3)}<direction placement="above">`);
+      out.push(`${ind(4)}<direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${songTempo()}</per-minute></metronome></direction-type>`);
+      out.push(`${ind(4)}<sound tempo="${songTempo()}"/>`);
+      out.push(`${ind(3)}</direction>`);
+    } else if (tsKey !== lastTs) {
+      out.push(`${ind(3)}<attributes><time><beats>${ts.num}</beats><beat-type>${ts.den}</beat-type></time></attributes>`);
+    }
+    lastTs = tsKey;
+
+    const rehearsal = (m) => {
+      out.push(`${ind(3)}<direction placement="above">`);
+      out.push(`${ind(4)}<direction-type><rehearsal>${xmlEscape(m.name.trim())}</rehearsal></direction-type>`);
+      out.push(`${ind(3)}</direction>`);
+    };
+    markersFor(prevEnd + 1, ms.start - 1).forEach(rehearsal);
+
+    for (let c = ms.start; c <= ms.end; c++) {
+      markersFor(c, c).forEach(rehearsal);
+      const len = ticks[c];
+      if (!len) continue;
+      const col = doc.columns[c];
+
+      const lines = [];
+      const after = nextPlayed(c);
+      for (let r = 0; r < rows; r++) {
+        const note = xmlNoteAt(c, r);
+        const incoming = carried[r];
+        const tieIn = tiedOver[r];
+        carried[r] = '';
+        tiedOver[r] = false;
+        if (!note) continue;
+        const steps = noteSteps(note);
+        const last = steps[steps.length - 1];
+        const next = xmlNoteAt(after, r);
+        if (last.tech && (!next || note.harmonic)) last.tech = '';
+        carried[r] = last.tech;
+        // A tie only joins the same pitch: an unbent last fret equal to the next note's fret.
+        tiedOver[r] = !!(next && next.tie && !last.bend && next.fret === last.fret && !next.harmonic === !note.harmonic);
+        lines.push({ row: r, note, steps, incoming, tieIn, tieOut: tiedOver[r] });
+      }
+      const stepCount = lines.reduce((n, l) => Math.max(n, l.steps.length), 1);
+      const stepLen = Math.floor(len / stepCount);
+
+      for (let s = 0; s < stepCount; s++) {
+        const dur = (s === stepCount - 1) ? len - stepLen * (stepCount - 1) : stepLen;
+        const nt = xmlNoteType(dur);
+        const type = [];
+        if (nt) {
+          type.push(`<type>${nt.type}</type>`);
+          if (nt.dotted) type.push('<dot/>');
+          if (nt.triplet) type.push('<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>');
         }
-        return 0;
-      };
-      if (cmp(APP_VERSION, minReq) < 0) {
-        throw new Error(`This project requires Tabd v${minReq} or later.`);
+        const sounding = lines.filter(l => s < l.steps.length);
+        if (!sounding.length) {
+          out.push(`${ind(3)}<note><rest/><duration>${dur}</duration><voice>1</voice>${type.join('')}</note>`);
+          continue;
+        }
+        sounding.forEach((l, i) => {
+          const { note } = l;
+          const step = l.steps[s];
+          const first = s === 0;
+          const final = s === l.steps.length - 1;
+          const prevTech = first ? l.incoming : l.steps[s - 1].tech;
+          const fret = note.harmonic ? harmonicSemitones(step.fret) : step.fret;
+          const p = xmlPitch(openMidiForRow(l.row) + fret + capo, noteNamesAt(c));
+          const alter = p.alter ? `<alter>${p.alter}</alter>` : '';
+          const ties = [];
+          const notations = [];
+          const technical = [];
+          if (first && l.tieIn) ties.push('stop');
+          if (final && l.tieOut) ties.push('start');
+          ties.forEach(t => notations.push(`<tied type="${t}"/>`));
+          const legato = (tech) => tech === 'hammer' ? 'hammer-on' : tech === 'pull' ? 'pull-off' : null;
+          if (legato(prevTech)) technical.push(`<${legato(prevTech)} number="1" type="stop"/>`);
+          if (legato(step.tech)) technical.push(`<${legato(step.tech)} number="1" type="start">${NOTE_TECH_SHORT[step.tech].toUpperCase()}</${legato(step.tech)}>`);
+          if (step.bend) technical.push(`<bend><bend-alter>${step.bend}</bend-alter>${step.release ? '<release/>' : ''}</bend>`);
+          if (note.harmonic) technical.push('<harmonic><natural/></harmonic>');
+          technical.push(`<string>${l.row + 1}</string><fret>${step.fret}</fret>`);
+          if (first) {
+            if (note.vibrato) technical.push('<other-technical>vibrato</other-technical>');
+            if (note.letRing) technical.push('<other-technical>let ring</other-technical>');
+          }
+          if (prevTech === 'slideUp' || prevTech === 'slideDown') notations.push('<slide number="1" type="stop"/>');
+          if (step.tech === 'slideUp' || step.tech === 'slideDown') notations.push('<slide number="1" type="start"/>');
+          notations.push(`<technical>${technical.join('')}</technical>`);
+          const articulations = first ? [note.staccato && '<staccato/>', note.accent && '<accent/>'].filter(Boolean) : [];
+          if (articulations.length) notations.push(`<articulations>${articulations.join('')}</articulations>`);
+          const tie = ties.map(t => `<tie type="${t}"/>`).join('');
+          const head = note.ghost ? '<notehead parentheses="yes">normal</notehead>' : note.harmonic ? '<notehead>diamond</notehead>' : '';
+          const play = note.palmMute ? '<play><mute>palm</mute></play>' : '';
+          out.push(`${ind(3)}<note>${i > 0 ? '<chord/>' : ''}<pitch><step>${p.step}</step>${alter}<octave>${p.octave}</octave></pitch><duration>${dur}</duration>${tie}<voice>1</voice>${type.join('')}${head}<notations>${notations.join('')}</notations>${play}</note>`);
+        });
       }
     }
+    if (ms.end < ms.start) {
+      out.push(`${ind(3)}<note><rest measure="yes"/><duration>${timeSigTicks(ts)}</duration><voice>1</voice></note>`);
+    }
+    if (mi === measures.length - 1) {
+      out.push(`${ind(3)}<barline location="right"><bar-style>light-heavy</bar-style></barline>`);
+    }
+    out.push(`${ind(2)}</measure>`);
+    prevEnd = ms.end;
+  });
 
-    if (!parsed.markers) parsed.markers = [];
-doc = parsed;
-    history = [];
-    future = [];
-    cursor = { lane:'tab', row:0, col:0 };
-    chordStack = false;
-    insertMode = false;
+  out.push(`${ind(1)}</part>`);
+  out.push('</score-partwise>');
+  return out.join('\n') + '\n';
+}
+
+function padToken(tok, width) {
+  // width in chars. Fill the rest with dashes.
+  const t = tok || '';
+  const pad = Math.max(0, width - t.length);
+  return t + '-'.repeat(pad);
+}
+
+// -------------------------
+// ASCII import (.txt)
+// -------------------------
+const ASCII_STRING_LINE = /^\s*([A-Ga-g][#b]?)\s*\|(.*)$/;
+const ASCII_BARE_LINE = /^(\s*)\|(.*)$/; // continuation system printed without labels
+
+function asciiLabelPc(label) {
+  // 'e', 'F#', 'Bb' -> pitch class; flats are folded onto the sharps table.
+  const m = /^([A-Ga-g])([#b]?)$/.exec(String(label || '').trim());
+  if (!m) return null;
+  const pc = NOTE_PC[m[1].toUpperCase()];
+  return (pc + (m[2] === '#' ? 1 : m[2] === 'b' ? 11 : 0)) % 12;
+}
+
+function inferAsciiInstrument(labels) {
+  // Exact label match against the built-in tunings first (so 'e' vs 'E' and Drop D survive),
+  // then a case-insensitive match, then a custom tuning guessed from the pitch classes.
+  const norm = (arr) => arr.map(l => String(l).trim());
+  for (const loose of [false, true]) {
+    for (const [type, def] of Object.entries(INSTRUMENTS)) {
+      for (const [name, t] of Object.entries(def.tunings)) {
+        if (t.strings.length !== labels.length) continue;
+        const a = norm(t.strings), b = norm(labels);
+        const same = loose
+          ? a.every((l, i) => asciiLabelPc(l) === asciiLabelPc(b[i]))
+          : a.every((l, i) => l === b[i]);
+        if (same) return { type, tuningName: name, strings: [...t.strings], pitches: [...t.pitches], custom: false };
+      }
+    }
+  }
+  const byCount = { 4: 'bass', 5: 'banjo', 6: 'guitar', 7: 'guitar7', 8: 'guitar8' };
+  const type = byCount[labels.length] || 'guitar';
+  const sharpLabels = labels.map(l => {
+    const pc = asciiLabelPc(l);
+    return pc == null ? 'E' : CHROMATIC_SHARPS[pc];
+  });
+  const pitches = guessPitchesForLabels(sharpLabels, type) || sharpLabels.map(() => 'E2');
+  return { type, tuningName: 'Imported', strings: norm(labels), pitches, custom: true };
+}
+
+function splitAsciiColumns(lines) {
+  // lines: equal-role bodies (strum line, string lines, rhythm line) starting right after the
+  // opening '|'. A column is the union of token runs overlapping across lines; a '|' on every
+  // string line is a divider. One all-blank character after a column is its separator.
+  const blank = (ch) => ch === undefined || ch === '-' || ch === ' ';
+  const width = Math.max(0, ...lines.map(l => l.text.length));
+  const strings = lines.filter(l => l.role === 'string');
+  const cols = [];
+  let p = 0;
+  while (p < width) {
+    if (strings.every(l => l.text[p] === '|')) {
+      cols.push({ divider: true });
+      p += 1;
+      continue;
+    }
+    let end = p + 1;
+    for (let grew = true; grew;) {
+      grew = false;
+      for (const l of lines) {
+        let i = p;
+        while (i < end) {
+          if (!blank(l.text[i]) && l.text[i] !== '|') {
+            let j = i;
+            while (j < width && !blank(l.text[j]) && l.text[j] !== '|') j++;
+            if (j > end) { end = j; grew = true; }
+            i = j;
+          } else i++;
+        }
+      }
+    }
+    const cells = lines.map(l => l.text.slice(p, end).replace(/[-\s|]+/g, ''));
+    cols.push({ cells });
+    p = end;
+    if (p < width && lines.every(l => blank(l.text[p]))) p += 1;
+  }
+  return cols;
+}
+
+function importAsciiTab(text, title) {
+  // Reads blocks of string lines ("e|--3--|"), the strum line above and rhythm line below
+  // that exportAscii() writes, and an optional "Capo N" header. Wrapped systems are joined
+  // with a divider between them unless a system stopped mid-bar; later systems may omit the
+  // string labels, and a heading line above a system becomes a marker.
+  const src = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let barAt = -1; // column of the opening '|' in the first labelled system
+  for (let i = 0; i < src.length; i++) {
+    if (ASCII_STRING_LINE.test(src[i])) {
+      let j = i;
+      while (j < src.length && ASCII_STRING_LINE.test(src[j])) j++;
+      if (j - i >= 3) {
+        blocks.push({ from: i, to: j });
+        if (barAt < 0) barAt = src[i].indexOf('|');
+      }
+      i = j;
+    } else if (blocks.length) {
+      // Unlabelled systems line their '|' up with the labelled ones and reuse their labels.
+      const bare = (k) => { const m = ASCII_BARE_LINE.exec(src[k] || ''); return !!m && m[1].length === barAt; };
+      if (!bare(i)) continue;
+      let j = i;
+      while (j < src.length && bare(j)) j++;
+      if (j - i === blocks[0].to - blocks[0].from) blocks.push({ from: i, to: j });
+      i = j;
+    }
+  }
+  if (!blocks.length) throw new Error('No tablature found (expected lines like "e|--3--|").');
+
+  const labels = src.slice(blocks[0].from, blocks[0].to).map(l => ASCII_STRING_LINE.exec(l)[1]);
+  const inst = inferAsciiInstrument(labels);
+  const rows = labels.length;
+  const d = newDoc(inst.type, inst.custom ? null : inst.tuningName);
+  d.instrument = { type: inst.type, strings: inst.strings, pitches: inst.pitches, tuningName: inst.tuningName };
+  if (inst.custom) d.instrument.custom = true;
+  d.meta.title = title || 'Untitled';
+  d.columns = [];
+
+  const capoLine = src.find(l => /^\s*capo\s+\d+/i.test(l));
+  if (capoLine) {
+    const m = /^\s*capo\s+(\d+)(?:\s*\((\w+)\s+frets\))?/i.exec(capoLine);
+    d.capo = { fret: clamp(parseInt(m[1], 10), 0, 12), mode: (m[2] || 'relative').toLowerCase() };
+  }
+
+  const STRUM_TOKENS = new Set(['↓', '↑', 'x']);
+  let prevClosed = false;
+  blocks.forEach((b, bi) => {
+    const stringLines = src.slice(b.from, b.to).slice(0, rows);
+    const offset = stringLines[0].indexOf('|') + 1;
+    const lines = stringLines.map(l => {
+      const body = l.slice(l.indexOf('|') + 1).replace(/\s+$/, '');
+      return { role: 'string', text: body };
+    });
+    // The closing '|' of a system is its last barline, not a divider column; a system without
+    // one stops mid-bar and the next system continues the same bar.
+    const closed = lines.every(l => l.text.endsWith('|'));
+    if (closed) lines.forEach(l => { l.text = l.text.slice(0, -1); });
+    const len = Math.max(...lines.map(l => l.text.length));
+
+    const side = (idx, role, accepts) => {
+      const raw = src[idx];
+      if (raw == null || !/^\s/.test(raw) || !raw.trim() || ASCII_STRING_LINE.test(raw)) return null;
+      const body = raw.slice(offset, offset + len);
+      const toks = body.split(/[-\s|]+/).filter(Boolean);
+      return toks.length && toks.every(accepts) ? { role, text: body } : null;
+    };
+    const strum = side(b.from - 1, 'strum', t => [...t].every(ch => STRUM_TOKENS.has(ch)));
+    const rhythm = side(b.to, 'rhythm', t => !!parseDuration(t));
+    // Note or chord names over the columns: not imported, but a name wider than its frets
+    // widened the column, so it takes part in finding column boundaries.
+    const names = side(b.from - 1 - (strum ? 1 : 0), 'names', t => /^[A-G][#b]?[\w#/+]*$/.test(t));
+
+    const all = [names, strum, ...lines, rhythm].filter(Boolean);
+    if (bi > 0 && prevClosed && d.columns.length && !d.columns[d.columns.length - 1].divider) {
+      d.columns.push({ notes: [], strum: '', divider: true });
+    }
+    prevClosed = closed;
+
+    // Section heading: a text line right above the system (past the strum line and any
+    // note/chord names line) becomes a marker, e.g. "Chorus" or "[Verse 2]".
+    const h = b.from - 1 - (strum ? 1 : 0) - (names ? 1 : 0);
+    const heading = (src[h] || '').trim();
+    if (h >= 0 && heading && !/^\s/.test(src[h]) && heading.length <= 60 &&
+        !ASCII_STRING_LINE.test(src[h]) && !/^capo\s+\d+/i.test(heading) && !blocks.some(o => h >= o.from && h < o.to)) {
+      d.markers.push({ id: d.markers.length + 1, name: heading.replace(/^\[(.*)\]$/, '$1').trim(), col: d.columns.length });
+    }
+    for (const c of splitAsciiColumns(all)) {
+      if (c.divider) {
+        d.columns.push({ notes: [], strum: '', divider: true });
+        continue;
+      }
+      const col = { notes: [], strum: '' };
+      all.forEach((l, k) => {
+        const tok = c.cells[k];
+        if (!tok) return;
+        if (l.role === 'names') return;
+        if (l.role === 'strum') col.strum = tok;
+        else if (l.role === 'rhythm') col.dur = formatDuration(parseDuration(tok));
+        else col.notes[lines.indexOf(l)] = tok;
+      });
+      for (let r = 0; r < rows; r++) if (col.notes[r] === undefined) col.notes[r] = null;
+      d.columns.push(col);
+    }
+  });
+  notesFromTokens(d.columns);
+
+  if (d.columns.some(c => c.dur)) d.view.rhythmMode = 'lane';
+  if (!d.columns.length) d.columns.push({ notes: [], strum: '' });
+  return d;
+}
+
+// -------------------------
+// Guitar Pro import (.gp3 / .gp4 / .gp5 / .gpx / .gp)
+// -------------------------
+// Each reader produces the same small song model, which gpSongToDoc() maps onto columns:
+//   { title, tempo, masterBars: [{ num, den, marker }],
+//     tracks: [{ name, pitches (MIDI, top string first), capo, percussion, bars: [[beat]] }] }
+//   beat: { value (1 = whole ... 64), dotted, tuplet, rest, empty, notes: [note] }
+//   note: { string (0 = top), fret, tie, dead, ghost, vibrato, legato, slide (GP5 bit flags), bend (semitones),
+//           harmonic (natural), palmMute, letRing }
+// Only the first voice of each bar is imported.
+const GP_EXTENSIONS = new Set(['gp3', 'gp4', 'gp5', 'gpx', 'gp']);
+const GP_SLIDE = { SHIFT: 0x01, LEGATO: 0x02, OUT_DOWN: 0x04, OUT_UP: 0x08, IN_BELOW: 0x10, IN_ABOVE: 0x20 };
+
+function gpText(bytes) {
+  return new TextDecoder('windows-1252').decode(bytes);
+}
+
+function gpByteReader(bytes) {
+  // Little-endian cursor over a GP3-5 file, with the format's three string layouts.
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 0;
+  const need = (n) => {
+    if (n < 0 || pos + n > bytes.length) throw new Error('The Guitar Pro file ends unexpectedly (damaged or unsupported).');
+  };
+  const r = {
+    skip(n) { need(n); pos += n; },
+    u8() { need(1); return bytes[pos++]; },
+    i8() { need(1); return view.getInt8(pos++); },
+    i16() { need(2); const v = view.getInt16(pos, true); pos += 2; return v; },
+    i32() { need(4); const v = view.getInt32(pos, true); pos += 4; return v; },
+    str(n) { need(n); const v = gpText(bytes.subarray(pos, pos + n)); pos += n; return v; },
+    // Length byte, then a fixed-size field.
+    byteSizeString(size) { const len = r.u8(); return r.str(size).slice(0, len); },
+    // Length int, then the characters.
+    intSizeString() { return r.str(r.i32()); },
+    // Field size int, then a length byte and (size - 1) bytes.
+    intByteSizeString() { const size = r.i32(); const len = r.u8(); return r.str(Math.max(0, size - 1)).slice(0, len); },
+  };
+  return r;
+}
+
+function readGuitarProBinary(bytes) {
+  const r = gpByteReader(bytes);
+  const versionStr = r.byteSizeString(30);
+  const vm = /GUITAR PRO v(\d)\.(\d\d)/.exec(versionStr);
+  if (!vm || Number(vm[1]) < 3 || Number(vm[1]) > 5) {
+    throw new Error(`Unsupported Guitar Pro version (${versionStr.trim() || 'unknown'}).`);
+  }
+  const ver = Number(vm[1]) * 100 + Number(vm[2]);
+  const song = { title: '', tempo: 120, masterBars: [], tracks: [] };
+
+  // Score information: title, subtitle, artist, album, words, (music,) copyright, tab, instructions
+  const info = [];
+  for (let i = 0, n = ver >= 500 ? 9 : 8; i < n; i++) info.push(r.intByteSizeString());
+  song.title = info[0].trim();
+  for (let i = 0, n = r.i32(); i < n; i++) r.intByteSizeString(); // notice lines
+  if (ver < 500) r.skip(1); // triplet feel
+  if (ver >= 400) {
+    r.skip(4); // lyrics track
+    for (let i = 0; i < 5; i++) { r.skip(4); r.intSizeString(); }
+  }
+  if (ver >= 510) r.skip(19); // RSE master effect
+  if (ver >= 500) {
+    r.skip(30); // page size and margins
+    for (let i = 0; i < 10; i++) r.intByteSizeString(); // header/footer templates
+    r.intByteSizeString(); // tempo label
+  }
+  song.tempo = r.i32();
+  if (ver >= 510) r.skip(1); // hide tempo
+  r.skip(ver >= 400 ? 5 : 4); // key signature (+ octave)
+  r.skip(64 * 12); // MIDI channel table
+  if (ver >= 500) r.skip(42); // musical directions + master reverb
+
+  const barCount = r.i32();
+  const trackCount = r.i32();
+
+  let num = 4, den = 4;
+  for (let i = 0; i < barCount; i++) {
+    if (ver >= 500 && i > 0) r.skip(1);
+    const flags = r.u8();
+    if (flags & 0x01) num = r.i8();
+    if (flags & 0x02) den = r.i8();
+    if (flags & 0x08) r.skip(1); // repeat count
+    if (ver < 500 && (flags & 0x10)) r.skip(1); // alternate ending
+    let marker = '';
+    if (flags & 0x20) { marker = r.intByteSizeString(); r.skip(4); }
+    if (flags & 0x40) r.skip(2); // key signature
+    if (ver >= 500) {
+      if (flags & 0x10) r.skip(1); // alternate ending
+      if (flags & 0x03) r.skip(4); // beam grouping
+      if (!(flags & 0x10)) r.skip(1);
+      r.skip(1); // triplet feel
+    }
+    song.masterBars.push({ num, den, marker: marker.trim() });
+  }
+
+  for (let t = 0; t < trackCount; t++) {
+    if (ver >= 500 && (t === 0 || ver === 500)) r.skip(1);
+    const flags = r.u8();
+    const name = r.byteSizeString(40).trim();
+    const stringCount = r.i32();
+    const pitches = [];
+    for (let s = 0; s < 7; s++) {
+      const p = r.i32();
+      if (s < stringCount) pitches.push(p);
+    }
+    r.skip(4); // MIDI port
+    const channel = r.i32();
+    r.skip(4 + 4); // effect channel, fret count
+    const capo = r.i32();
+    r.skip(4); // colour
+    if (ver >= 500) {
+      r.skip(2 + 1 + 1 + 1 + 24 + 12); // display flags, accentuation, bank, humanize, RSE instrument
+      r.skip(ver === 500 ? 3 : 4); // RSE effect number
+      if (ver > 500) { r.skip(4); r.intByteSizeString(); r.intByteSizeString(); } // RSE equalizer + effect
+    }
+    song.tracks.push({ name: name || `Track ${t + 1}`, pitches, capo, percussion: !!(flags & 0x01) || channel === 10, bars: [] });
+  }
+  if (ver >= 500) r.skip(ver === 500 ? 2 : 1);
+
+  const skipBend = () => {
+    r.skip(5);
+    const n = r.i32();
+    let max = 0;
+    for (let i = 0; i < n; i++) { r.skip(4); max = Math.max(max, r.i32()); r.skip(1); }
+    // Point values are in 1/100 of a tone.
+    return max > 0 ? Math.max(1, Math.round(max / 50)) : 0;
+  };
+  const skipChord = () => {
+    if (ver >= 500) { r.skip(17); r.byteSizeString(21); r.skip(4 + 4 + 28 + 32); return; }
+    if (r.u8() !== 0) {
+      if (ver >= 400) { r.skip(16); r.byteSizeString(21); r.skip(4 + 4 + 28 + 32); }
+      else { r.skip(25); r.byteSizeString(34); r.skip(4 + 24 + 36); }
+    } else {
+      r.intByteSizeString();
+      if (r.i32() > 0) r.skip(4 * (ver >= 406 ? 7 : 6));
+    }
+  };
+  const skipBeatEffects = () => {
+    const f1 = r.u8();
+    if (ver < 400) {
+      if (f1 & 0x20) r.skip(1 + 4); // tapping/slapping or tremolo bar
+      if (f1 & 0x40) r.skip(2); // stroke
+      return;
+    }
+    const f2 = r.u8();
+    if (f1 & 0x20) r.skip(1); // tapping/slapping
+    if (f2 & 0x04) skipBend(); // tremolo bar
+    if (f1 & 0x40) r.skip(2); // stroke
+    if (f2 & 0x02) r.skip(1); // pick stroke
+  };
+  const skipMixTable = () => {
+    r.skip(1); // instrument
+    if (ver >= 500) r.skip(16); // RSE instrument
+    const values = [];
+    for (let i = 0; i < 6; i++) values.push(r.i8()); // volume, balance, chorus, reverb, phaser, tremolo
+    if (ver >= 500) r.intByteSizeString(); // tempo label
+    const tempo = r.i32();
+    values.forEach(v => { if (v >= 0) r.skip(1); });
+    if (tempo >= 0) r.skip(ver > 500 ? 2 : 1);
+    if (ver >= 400) r.skip(1); // apply-to-all flags
+    if (ver >= 500) r.skip(1); // wah
+    if (ver > 500) { r.intByteSizeString(); r.intByteSizeString(); }
+  };
+  const GP4_SLIDES = { 1: GP_SLIDE.SHIFT, 2: GP_SLIDE.LEGATO, 3: GP_SLIDE.OUT_DOWN, 4: GP_SLIDE.OUT_UP, [-1]: GP_SLIDE.IN_BELOW, [-2]: GP_SLIDE.IN_ABOVE };
+  const readNoteEffects = (note) => {
+    const f1 = r.u8();
+    const f2 = ver >= 400 ? r.u8() : 0;
+    note.legato = !!(f1 & 0x02);
+    note.letRing = !!(f1 & 0x08);
+    note.palmMute = !!(f2 & 0x02);
+    if (f1 & 0x01) note.bend = skipBend();
+    if (f1 & 0x10) r.skip(ver >= 500 ? 5 : 4); // grace note
+    if (ver < 400) {
+      if (f1 & 0x04) note.slide = GP_SLIDE.SHIFT;
+      return;
+    }
+    if (f2 & 0x04) r.skip(1); // tremolo picking
+    if (f2 & 0x08) note.slide = ver >= 500 ? r.u8() : (GP4_SLIDES[r.i8()] || 0);
+    if (f2 & 0x10) {
+      // harmonic (1 = natural in both GP4 and GP5)
+      const kind = r.i8();
+      note.harmonic = kind === 1;
+      if (ver >= 500 && kind === 2) r.skip(3);
+      else if (ver >= 500 && kind === 3) r.skip(1);
+    }
+    if (f2 & 0x20) r.skip(2); // trill
+    note.vibrato = !!(f2 & 0x40);
+  };
+  const readNote = (string) => {
+    const flags = r.u8();
+    const note = { string, fret: 0, tie: false, dead: false, ghost: !!(flags & 0x04), vibrato: false, legato: false, slide: 0, bend: 0, harmonic: false, palmMute: false, letRing: false };
+    if (flags & 0x20) {
+      const kind = r.u8();
+      note.tie = kind === 2;
+      note.dead = kind === 3;
+    }
+    if (ver < 500 && (flags & 0x01)) r.skip(2); // independent duration
+    if (flags & 0x10) r.skip(1); // dynamics
+    if (flags & 0x20) note.fret = r.i8();
+    if (flags & 0x80) r.skip(2); // fingering
+    if (ver >= 500) {
+      if (flags & 0x01) r.skip(8); // duration percent
+      r.skip(1);
+    }
+    if (flags & 0x08) readNoteEffects(note);
+    return note;
+  };
+  const readBeat = (track) => {
+    const flags = r.u8();
+    const status = (flags & 0x40) ? r.u8() : 1;
+    const value = 2 ** (r.i8() + 2);
+    const tuplet = (flags & 0x20) ? r.i32() : 1;
+    if (flags & 0x02) skipChord();
+    if (flags & 0x04) r.intByteSizeString(); // text
+    if (flags & 0x08) skipBeatEffects();
+    if (flags & 0x10) skipMixTable();
+    const stringFlags = r.u8();
+    const notes = [];
+    for (let s = 0; s < track.pitches.length; s++) {
+      if (stringFlags & (1 << (6 - s))) notes.push(readNote(s));
+    }
+    if (ver >= 500) {
+      if (r.i16() & 0x0800) r.skip(1);
+    }
+    return { value, dotted: !!(flags & 0x01), tuplet, rest: status === 2, empty: status === 0, notes };
+  };
+
+  for (let b = 0; b < barCount; b++) {
+    for (const track of song.tracks) {
+      for (let v = 0, voices = ver >= 500 ? 2 : 1; v < voices; v++) {
+        const beats = [];
+        for (let i = 0, n = r.i32(); i < n; i++) beats.push(readBeat(track));
+        if (v === 0) track.bars.push(beats);
+      }
+      if (ver >= 500) r.skip(1); // line break
+    }
+  }
+  return song;
+}
 
-    syncControlsFromDoc();
-    render();
+function bcfzDecompress(bytes) {
+  // GP6 container compression: a bit stream of raw runs and back-references.
+  const expected = new DataView(bytes.buffer, bytes.byteOffset + 4, 4).getInt32(0, true);
+  const out = new Uint8Array(expected);
+  const totalBits = bytes.length * 8;
+  let len = 0;
+  let bitPos = 64;
+  const bit = () => {
+    if (bitPos >= totalBits) throw new RangeError('end');
+    const b = (bytes[bitPos >> 3] >> (7 - (bitPos & 7))) & 1;
+    bitPos++;
+    return b;
+  };
+  const bits = (n) => { let v = 0; for (let i = 0; i < n; i++) v = (v << 1) | bit(); return v; };
+  const bitsReversed = (n) => { let v = 0; for (let i = 0; i < n; i++) v |= bit() << i; return v; };
+  try {
+    while (len < expected) {
+      if (bit()) {
+        const word = bits(4);
+        const offset = bitsReversed(word);
+        const size = bitsReversed(word);
+        const from = len - offset;
+        for (let i = 0; i < Math.min(offset, size) && len < expected; i++) out[len++] = out[from + i];
+      } else {
+        const size = bitsReversed(2);
+        for (let i = 0; i < size && len < expected; i++) out[len++] = bits(8);
+      }
+    }
   } catch (err) {
-    alert('Open failed: ' + (err && err.message ? err.message : String(err)));
-  } finally {
-    openFile.value = '';
+    if (!(err instanceof RangeError)) throw err;
   }
-});
+  return out.subarray(0, len);
+}
 
-addColsBtn.addEventListener('click', () => {
-  pushHistory();
-  const prevLen = doc.columns.length;
-  for (let i = 0; i < 16; i++) {
-    doc.columns.push({ notes: {}, strum: '' });
+function bcfsFiles(data) {
+  // GP6 container file system: 4 KiB sectors; file entries list the sectors holding their data.
+  const SECTOR = 0x1000;
+  const body = data.subarray(4);
+  const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+  const int = (o) => (o >= 0 && o + 4 <= body.length) ? view.getInt32(o, true) : 0;
+  const files = new Map();
+  let offset = SECTOR;
+  while (offset + 3 < body.length) {
+    if (int(offset) === 2) {
+      const nameBytes = body.subarray(offset + 4, offset + 4 + 127);
+      const end = nameBytes.indexOf(0);
+      const name = gpText(end >= 0 ? nameBytes.subarray(0, end) : nameBytes);
+      const size = int(offset + 0x8c);
+      const pointers = offset + 0x94;
+      const chunks = [];
+      for (let k = 0, sector; (sector = int(pointers + 4 * k)) !== 0; k++) {
+        // The next entry follows the last data sector, so the scan continues from there.
+        offset = sector * SECTOR;
+        chunks.push(body.subarray(offset, offset + SECTOR));
+      }
+      const file = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+      let at = 0;
+      for (const c of chunks) { file.set(c, at); at += c.length; }
+      files.set(name, file.subarray(0, size));
+    }
+    offset += SECTOR;
   }
-  // Jump cursor to the first newly added column so the user immediately sees the extension.
-  cursor.col = prevLen;
-  cursor.col = clamp(cursor.col, 0, doc.columns.length - 1);
-  render();
+  return files;
+}
 
-  // Ensure the new columns are visible in the horizontal scroll region.
-  if (canvasWrap) {
-    // Scroll to show the cursor column near the right side.
-    const targetX = colStartX(buildColumnPixelWidths(18).widths, cursor.col, 54);
-    const viewLeft = canvasWrap.scrollLeft;
-    const viewW = canvasWrap.clientWidth;
-    const pad = 80;
-    if (targetX > viewLeft + viewW - pad) canvasWrap.scrollLeft = Math.max(0, targetX - (viewW - pad));
+async function unzipEntry(bytes, wanted) {
+  // Just enough zip reading for GP7 files: central directory lookup, stored or deflated entries.
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
   }
-});
-
-
-
-insertColBtn && insertColBtn.addEventListener('click', () => {
-  pushHistory();
-  const hasSel = colSel && Number.isInteger(colSel.startCol) && Number.isInteger(colSel.endCol);
-  const start = hasSel ? Math.min(colSel.startCol, colSel.endCol) : cursor.col;
-  const pos = clamp(start, 0, doc.columns.length);
-  doc.columns.splice(pos, 0, { notes: {}, strum: '' });
-  shiftMarkers(pos, +1);
-  cursor.col = clamp(pos, 0, doc.columns.length - 1);
-  render();
-});
-
-deleteColBtn && deleteColBtn.addEventListener('click', () => {
-  const hasSel = colSel && Number.isInteger(colSel.startCol) && Number.isInteger(colSel.endCol);
-  let start, end;
-  if (hasSel) {
-    start = Math.min(colSel.startCol, colSel.endCol);
-    end = Math.max(colSel.startCol, colSel.endCol);
-  } else {
-    start = cursor.col;
-    end = cursor.col;
+  if (eocd < 0) throw new Error('The file is not a valid zip archive.');
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  for (let i = 0; i < count && view.getUint32(p, true) === 0x02014b50; i++) {
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const name = new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLen));
+    if (name === wanted) {
+      const local = view.getUint32(p + 42, true);
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const raw = bytes.subarray(start, start + size);
+      if (method === 0) return raw;
+      if (method !== 8) throw new Error(`Unsupported zip compression method (${method}).`);
+      const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    p += 46 + nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
   }
-  start = clamp(start, 0, doc.columns.length - 1);
-  end = clamp(end, 0, doc.columns.length - 1);
-  const count = (end - start + 1);
-  if (count <= 0) return;
-  pushHistory();
-  doc.columns.splice(start, count);
-  removeMarkersInRange(start, end);
-  shiftMarkers(end + 1, -count);
-  if (doc.columns.length === 0) doc.columns.push({ notes: {}, strum: '' });
-  cursor.col = clamp(start, 0, doc.columns.length - 1);
-  clearColSel();
-  render();
-});
-
-
-addDividerBtn.addEventListener('click', () => {
-  pushHistory();
-  const sel = colSel ? { start: Math.min(colSel.startCol, colSel.endCol) } : null;
-  const at = sel ? sel.start : clamp(cursor.col, 0, doc.columns.length);
-  doc.columns.splice(at, 0, { notes: {}, strum: '', divider: true });
-  shiftMarkers(at, 1);
-  cursor.col = clamp(at, 0, doc.columns.length - 1);
-  colSel = { startCol: at, endCol: at };
-  render();
-});
+  return null;
+}
 
-addMarkerBtn.addEventListener('click', () => {
-  ensureMarkers();
-  const sel = colSel ? { start: Math.min(colSel.startCol, colSel.endCol) } : null;
-  const at = sel ? sel.start : clamp(cursor.col, 0, doc.columns.length - 1);
-  // if marker exists at column, rename it
-  let existing = doc.markers.find(m => m && m.col === at);
-  const name = prompt(existing ? 'Rename marker' : 'Marker name', existing ? (existing.name || '') : '');
-  if (name === null) return;
-  const nm = String(name).trim();
-  if (!nm) return;
-  pushHistory();
-  if (existing) {
-    existing.name = nm;
-  } else {
-    doc.markers.push({ id: nextMarkerId(), name: nm, col: at });
-  }
-  render();
-});
+function readGpif(xmlText) {
+  // score.gpif (GP6 and GP7): flat id-indexed lists of bars, voices, beats, notes and rhythms.
+  const xml = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length) throw new Error('The Guitar Pro score is not valid XML.');
+  const root = xml.documentElement;
+  const kids = (el, tag) => el ? Array.from(el.children).filter(c => c.tagName === tag) : [];
+  const child = (el, tag) => kids(el, tag)[0] || null;
+  const text = (el, tag) => { const c = child(el, tag); return c ? c.textContent.trim() : ''; };
+  const idList = (str) => String(str || '').trim().split(/\s+/).filter(Boolean).map(Number);
+  const byId = (listTag, tag) => {
+    const map = new Map();
+    kids(child(root, listTag), tag).forEach(el => map.set(Number(el.getAttribute('id')), el));
+    return map;
+  };
+  const props = (el) => {
+    const map = new Map();
+    kids(child(el, 'Properties'), 'Property').forEach(p => map.set(p.getAttribute('name'), p));
+    return map;
+  };
 
+  const song = { title: text(child(root, 'Score'), 'Title'), tempo: 120, masterBars: [], tracks: [] };
+  const automations = kids(child(child(root, 'MasterTrack'), 'Automations'), 'Automation');
+  const tempoAuto = automations.find(a => text(a, 'Type') === 'Tempo');
+  if (tempoAuto) song.tempo = Math.round(parseFloat(text(tempoAuto, 'Value'))) || 120;
+
+  // MasterBar/Bars lists one bar per staff of every track, so a track's bars start after the
+  // staves of the tracks before it (a piano track has two).
+  const staffOffsets = [];
+  let staffCount = 0;
+  kids(child(root, 'Tracks'), 'Track').forEach((tr, t) => {
+    staffOffsets.push(staffCount);
+    staffCount += Math.max(1, kids(child(tr, 'Staves'), 'Staff').length);
+    const staff = child(child(tr, 'Staves'), 'Staff');
+    let p = props(staff || tr);
+    if (!p.has('Tuning')) p = props(tr);
+    const tuning = p.get('Tuning');
+    const capo = p.get('CapoFret');
+    song.tracks.push({
+      name: text(tr, 'Name') || `Track ${t + 1}`,
+      // GPIF lists the lowest string first.
+      pitches: tuning ? idList(text(tuning, 'Pitches')).reverse() : [],
+      capo: capo ? parseInt(text(capo, 'Fret'), 10) || 0 : 0,
+      percussion: !tuning,
+      bars: [],
+    });
+  });
 
-exportBtn.addEventListener('click', () => {
-  const ascii = exportAscii();
-  const name = (doc.meta.title || 'untitled').replace(/[^a-z0-9_-]+/gi, '_');
-  downloadText(`${name}.txt`, ascii, 'text/plain');
-});
+  const bars = byId('Bars', 'Bar');
+  const voices = byId('Voices', 'Voice');
+  const beats = byId('Beats', 'Beat');
+  const notes = byId('Notes', 'Note');
+  const rhythms = byId('Rhythms', 'Rhythm');
+  const NOTE_VALUES = { Whole: 1, Half: 2, Quarter: 4, Eighth: 8, '16th': 16, '32nd': 32, '64th': 64, '128th': 128 };
+
+  const readNote = (el, rows) => {
+    const p = props(el);
+    const val = (name, tag) => p.has(name) ? text(p.get(name), tag) : '';
+    const tie = child(el, 'Tie');
+    const bendTo = parseFloat(val('BendDestinationValue', 'Float') || val('BendMiddleValue', 'Float')) || 0;
+    return {
+      string: rows - 1 - (parseInt(val('String', 'String'), 10) || 0),
+      fret: parseInt(val('Fret', 'Fret'), 10) || 0,
+      tie: !!tie && tie.getAttribute('destination') === 'true',
+      dead: p.has('Muted'),
+      ghost: !!child(el, 'AntiAccent'),
+      vibrato: !!child(el, 'Vibrato'),
+      legato: p.has('HopoOrigin'),
+      slide: parseInt(val('Slide', 'Flags'), 10) || 0,
+      // Bend values are in 1/100 of a tone.
+      bend: p.has('Bended') && bendTo > 0 ? Math.max(1, Math.round(bendTo / 50)) : 0,
+      harmonic: val('HarmonicType', 'HType') === 'Natural',
+      palmMute: p.has('PalmMuted'),
+      letRing: !!child(el, 'LetRing'),
+    };
+  };
 
-function exportAscii() {
-  // Compute column widths in chars based on max token length (strum + notes). No leading zeros.
-  const widths = doc.columns.map((_, i) => {
-    const w = colCharWidth(i);
-    return w;
+  kids(child(root, 'MasterBars'), 'MasterBar').forEach(mb => {
+    const [num, den] = (text(mb, 'Time') || '4/4').split('/').map(n => parseInt(n, 10));
+    const section = child(mb, 'Section');
+    song.masterBars.push({ num: num || 4, den: den || 4, marker: section ? (text(section, 'Text') || text(section, 'Letter')) : '' });
+    const barIds = idList(text(mb, 'Bars'));
+    song.tracks.forEach((track, t) => {
+      const bar = bars.get(barIds[staffOffsets[t]]);
+      const voiceId = bar ? idList(text(bar, 'Voices')).find(v => v >= 0) : undefined;
+      const voice = voices.get(voiceId);
+      const out = [];
+      for (const beatId of voice ? idList(text(voice, 'Beats')) : []) {
+        const beat = beats.get(beatId);
+        if (!beat || child(beat, 'GraceNotes')) continue;
+        const rhythm = rhythms.get(Number((child(beat, 'Rhythm') || { getAttribute: () => -1 }).getAttribute('ref')));
+        const dot = rhythm && child(rhythm, 'AugmentationDot');
+        const tuplet = rhythm && child(rhythm, 'PrimaryTuplet');
+        const noteEls = idList(text(beat, 'Notes')).map(id => notes.get(id)).filter(Boolean);
+        out.push({
+          value: (rhythm && NOTE_VALUES[text(rhythm, 'NoteValue')]) || 4,
+          dotted: !!dot && parseInt(dot.getAttribute('count'), 10) > 0,
+          tuplet: tuplet ? parseInt(tuplet.getAttribute('num'), 10) || 1 : 1,
+          rest: noteEls.length === 0,
+          empty: false,
+          notes: noteEls.map(n => readNote(n, track.pitches.length)),
+        });
+      }
+      track.bars.push(out);
+    });
   });
+  return song;
+}
 
-  // Optional strum line
-  const hasStrum = doc.columns.some(c => (c.strum || '').trim() !== '');
-
-  const lines = [];
-  if (hasStrum) {
-    let s = '    '; // left padding to roughly align above strings
-    for (let i = 0; i < doc.columns.length; i++) {
-      const col = doc.columns[i];
-      const tok = (col && col.divider) ? '|' : (col.strum || '').trim();
-      s += padToken(tok, widths[i]);
+function gpInstrumentFor(pitches) {
+  // A built-in tuning with exactly these open pitches, else the closest instrument by string count.
+  for (const [type, def] of Object.entries(INSTRUMENTS)) {
+    for (const [name, t] of Object.entries(def.tunings)) {
+      if (t.pitches.length === pitches.length && t.pitches.every((p, i) => pitchToMidi(p) === pitches[i])) {
+        return { type, tuningName: name, strings: [...t.strings], pitches: [...t.pitches], custom: false };
+      }
     }
-    lines.push(s);
   }
+  const low = Math.min(...pitches);
+  const high = Math.max(...pitches);
+  let type = 'guitar';
+  if (pitches.length <= 5) type = low < 36 ? 'bass' : (pitches.length === 5 ? 'banjo' : (high > 72 ? 'mandolin' : 'ukulele'));
+  else if (pitches.length === 6) type = low < 36 ? 'bass6' : 'guitar';
+  else if (pitches.length === 7) type = 'guitar7';
+  else if (pitches.length >= 8) type = 'guitar8';
+  const names = pitches.map(midiToPitch);
+  return { type, tuningName: 'Imported', strings: labelsForPitches(names), pitches: names, custom: true };
+}
+
+function gpDurationToken(beat) {
+  const base = { 1: 'W', 2: 'H', 4: 'Q', 8: 'E', 16: 'S' }[beat.value] || (beat.value > 16 ? 'T' : 'Q');
+  return formatDuration({ base, dotted: beat.dotted, triplet: beat.tuplet === 3 });
+}
+
+function gpSongToDoc(song, trackIndex, fallbackTitle) {
+  const track = song.tracks[trackIndex];
+  const rows = track.pitches.length;
+  const inst = gpInstrumentFor(track.pitches);
+  const d = newDoc(inst.type, inst.custom ? null : inst.tuningName);
+  d.instrument = { type: inst.type, strings: inst.strings, pitches: inst.pitches, tuningName: inst.tuningName };
+  if (inst.custom) d.instrument.custom = true;
+  d.meta.title = song.title || fallbackTitle || 'Untitled';
+  d.capo.fret = clamp(track.capo || 0, 0, 12);
+  d.rhythm.tempo = clamp(song.tempo || 100, 20, 300);
+  const first = song.masterBars[0] || { num: 4, den: 4 };
+  d.rhythm.timeSig = `${first.num}/${first.den}`;
+  d.view.rhythmMode = 'lane';
+  d.columns = [];
+
+  // Techniques that lead into the next note on a string are resolved when that note arrives.
+  const lastOnRow = new Array(rows).fill(null);
+  const lastFret = new Array(rows).fill(null);
+  const link = (row, note) => {
+    const prev = lastOnRow[row];
+    if (!prev || prev.note.dead || prev.note.harmonic) return;
+    const cell = d.columns[prev.col].notes[row];
+    const up = note.fret >= prev.note.fret;
+    if (prev.note.legato) cell.into = up ? 'hammer' : 'pull';
+    else if (prev.note.slide & (GP_SLIDE.SHIFT | GP_SLIDE.LEGATO)) cell.into = up ? 'slideUp' : 'slideDown';
+  };
 
-  for (const stringLabel of doc.instrument.strings) {
-    let line = `${stringLabel}|`;
-    for (let i = 0; i < doc.columns.length; i++) {
-      const col = doc.columns[i];
-      const tok = (col && col.divider) ? '|' : (col.notes[stringLabel] || '').trim();
-      line += padToken(tok, widths[i]);
+  let ts = d.rhythm.timeSig;
+  song.masterBars.forEach((mb, b) => {
+    if (b > 0) d.columns.push({ notes: [], strum: '', divider: true });
+    const at = d.columns.length;
+    const barTs = `${mb.num}/${mb.den}`;
+    if (mb.marker || barTs !== ts) {
+      const m = { id: d.markers.length + 1, name: mb.marker || `Bar ${b + 1}`, col: at };
+      if (barTs !== ts) m.timeSig = barTs;
+      d.markers.push(m);
+      ts = barTs;
     }
-    line += '|';
-    lines.push(line);
-  }
 
-  // Capo header (optional) goes at top
-  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
-  if (capo > 0) {
-    const mode = doc.capo.mode || 'relative';
-    lines.unshift(`Capo ${capo} (${mode} frets)`, '');
-  }
+    const beats = (track.bars[b] || []).filter(bt => !bt.empty);
+    if (!beats.length) {
+      // Empty bar: one rest column spanning the bar when a single duration fits.
+      const want = timeSigTicks({ num: mb.num, den: mb.den });
+      const full = ['W', 'H.', 'H', 'Q.', 'Q', 'E.', 'E'].find(t => durationTicks(t) === want);
+      d.columns.push(full ? { notes: [], strum: '', dur: full } : { notes: [], strum: '' });
+      lastOnRow.fill(null);
+      return;
+    }
+    for (const bt of beats) {
+      const col = { notes: new Array(rows).fill(null), strum: '', dur: gpDurationToken(bt) };
+      if (bt.rest) lastOnRow.fill(null);
+      for (const n of bt.notes) {
+        if (n.string < 0 || n.string >= rows) continue;
+        if (!n.tie) link(n.string, n);
+        // A tied note repeats the fret before it on the string, rests or not; Guitar Pro 3-5
+        // files often store 0 for it.
+        const fret = n.tie && lastFret[n.string] != null ? lastFret[n.string] : n.fret;
+        const note = n.dead ? { fret: null, dead: true } : { fret };
+        if (!n.dead) {
+          if (n.slide & GP_SLIDE.IN_BELOW) note.slideIn = 'up';
+          else if (n.slide & GP_SLIDE.IN_ABOVE) note.slideIn = 'down';
+          if (n.bend) note.bend = n.bend;
+          if (n.slide & GP_SLIDE.OUT_DOWN) note.into = 'slideDown';
+          else if (n.slide & GP_SLIDE.OUT_UP) note.into = 'slideUp';
+          for (const key of ['harmonic', 'ghost', 'vibrato', 'palmMute', 'letRing', 'tie']) if (n[key]) note[key] = true;
+          // Harmonics carry marks only (see parseNoteToken).
+          if (note.harmonic) ['slideIn', 'bend', 'into'].forEach(k => delete note[k]);
+        }
+        col.notes[n.string] = note;
+        lastOnRow[n.string] = { col: d.columns.length, note: { ...n, fret } };
+        if (!n.dead) lastFret[n.string] = fret;
+      }
+      d.columns.push(col);
+    }
+  });
+  if (!d.columns.length) d.columns.push({ notes: [], strum: '' });
+  return d;
+}
 
-  return lines.join('\n');
+function chooseGpTrack(song) {
+  const playable = song.tracks.map((t, i) => ({ t, i })).filter(x => !x.t.percussion && x.t.pitches.length);
+  if (!playable.length) throw new Error('This file has no fretted-instrument tracks to import.');
+  if (playable.length === 1) return playable[0].i;
+  const list = playable.map((x, k) => `${k + 1}: ${x.t.name} (${x.t.pitches.length} strings)`).join('\n');
+  const answer = prompt(`This file has ${playable.length} tracks. Import which one?\n\n${list}`, '1');
+  if (answer === null) return null;
+  const k = clamp(parseInt(answer, 10) || 1, 1, playable.length);
+  return playable[k - 1].i;
 }
 
-function padToken(tok, width) {
-  // width in chars. Fill the rest with dashes.
-  const t = tok || '';
-  const pad = Math.max(0, width - t.length);
-  return t + '-'.repeat(pad);
+async function importGuitarPro(bytes, title) {
+  // Returns a new document, or null when the user cancels the track choice.
+  const magic = gpText(bytes.subarray(0, 4));
+  let song;
+  if (magic === 'PK\x03\x04') {
+    const gpif = await unzipEntry(bytes, 'Content/score.gpif');
+    if (!gpif) throw new Error('No score found in this Guitar Pro file.');
+    song = readGpif(new TextDecoder().decode(gpif));
+  } else if (magic === 'BCFZ' || magic === 'BCFS') {
+    const files = bcfsFiles(magic === 'BCFZ' ? bcfzDecompress(bytes) : bytes);
+    const gpif = files.get('score.gpif');
+    if (!gpif) throw new Error('No score found in this Guitar Pro file.');
+    song = readGpif(new TextDecoder().decode(gpif));
+  } else {
+    song = readGuitarProBinary(bytes);
+  }
+  const t = chooseGpTrack(song);
+  if (t === null) return null;
+  return gpSongToDoc(song, t, title);
 }
 
 // Initial UI setup
@@ -2000,6 +6340,478 @@ window.addEventListener('keydown', (e) => {
   closeAbout();
 });
 
+// -------------------------
+// Tuning editor
+// -------------------------
+const tuningEditBtn = document.getElementById('tuningEditBtn');
+const tuningModal = document.getElementById('tuningModal');
+const tuningClose = document.getElementById('tuningClose');
+const tuningNameInput = document.getElementById('tuningNameInput');
+const tuningRows = document.getElementById('tuningRows');
+const tuningAddString = document.getElementById('tuningAddString');
+const tuningDelete = document.getElementById('tuningDelete');
+const tuningCancel = document.getElementById('tuningCancel');
+const tuningApply = document.getElementById('tuningApply');
+
+function buildTuningRow(pitch) {
+  const midi = pitchToMidi(pitch) ?? 40;
+  const row = document.createElement('div');
+  row.className = 'formRow';
+
+  const num = document.createElement('span');
+  num.className = 'rowNum mono';
+  row.appendChild(num);
+
+  const noteSel = document.createElement('select');
+  noteSel.className = 'select';
+  noteSel.dataset.role = 'note';
+  CHROMATIC_SHARPS.forEach((n, pc) => {
+    const opt = document.createElement('option');
+    opt.value = String(pc);
+    opt.textContent = n;
+    noteSel.appendChild(opt);
+  });
+  noteSel.value = String(midi % 12);
+  row.appendChild(noteSel);
+
+  const octSel = document.createElement('select');
+  octSel.className = 'select';
+  octSel.dataset.role = 'octave';
+  for (let o = 0; o <= 6; o++) {
+    const opt = document.createElement('option');
+    opt.value = String(o);
+    opt.textContent = String(o);
+    octSel.appendChild(opt);
+  }
+  octSel.value = String(clamp(Math.floor(midi / 12) - 1, 0, 6));
+  row.appendChild(octSel);
+
+  const rm = document.createElement('button');
+  rm.className = 'iconBtn';
+  rm.type = 'button';
+  rm.textContent = '✕';
+  rm.setAttribute('aria-label', 'Remove string');
+  rm.addEventListener('click', () => {
+    if (tuningRows.children.length <= 1) return;
+    row.remove();
+    renumberTuningRows();
+  });
+  row.appendChild(rm);
+  return row;
+}
+
+function renumberTuningRows() {
+  Array.from(tuningRows.children).forEach((row, i) => {
+    row.querySelector('.rowNum').textContent = String(i + 1);
+  });
+}
+
+function readTuningRows() {
+  return Array.from(tuningRows.children).map(row => {
+    const pc = parseInt(row.querySelector('[data-role="note"]').value, 10);
+    const oct = parseInt(row.querySelector('[data-role="octave"]').value, 10);
+    return midiToPitch((oct + 1) * 12 + pc);
+  });
+}
+
+function openTuningEditor() {
+  if (!tuningModal) return;
+  const inst = doc.instrument;
+  const isCustom = !instrumentDef(inst.type).tunings[inst.tuningName];
+  tuningNameInput.value = isCustom ? inst.tuningName : '';
+  tuningNameInput.placeholder = 'e.g. DADGAD';
+  tuningRows.innerHTML = '';
+  for (const p of inst.pitches) tuningRows.appendChild(buildTuningRow(p));
+  renumberTuningRows();
+  tuningDelete.hidden = !(isCustom && (loadUserTunings()[inst.type] || {})[inst.tuningName]);
+  tuningModal.hidden = false;
+  tuningModal.setAttribute('aria-hidden', 'false');
+  tuningNameInput.focus();
+}
+
+function closeTuningEditor() {
+  if (!tuningModal) return;
+  tuningModal.hidden = true;
+  tuningModal.setAttribute('aria-hidden', 'true');
+  if (tuningEditBtn) tuningEditBtn.focus();
+}
+
+if (tuningEditBtn && tuningModal) {
+  tuningEditBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    commitDigitBuffer();
+    openTuningEditor();
+  });
+
+  tuningAddString.addEventListener('click', () => {
+    // New strings go below the current bottom string, a fourth lower.
+    const pitches = readTuningRows();
+    const low = pitchToMidi(pitches[pitches.length - 1]) ?? 45;
+    tuningRows.appendChild(buildTuningRow(midiToPitch(Math.max(12, low - 5))));
+    renumberTuningRows();
+  });
+
+  tuningApply.addEventListener('click', () => {
+    const type = doc.instrument.type;
+    const name = tuningNameInput.value.trim();
+    if (!name) { alert('Give the tuning a name.'); tuningNameInput.focus(); return; }
+    if (instrumentDef(type).tunings[name]) { alert('That name is used by a built-in tuning.'); tuningNameInput.focus(); return; }
+    const pitches = readTuningRows();
+    saveUserTuning(type, name, pitches);
+    populateTuningSelect();
+    tuningSelect.value = name;
+    applyInstrumentAndTuning(type, name);
+    closeTuningEditor();
+  });
+
+  tuningDelete.addEventListener('click', () => {
+    const type = doc.instrument.type;
+    const name = doc.instrument.tuningName;
+    if (!confirm(`Remove "${name}" from your tuning library? (This project keeps it.)`)) return;
+    deleteUserTuning(type, name);
+    populateTuningSelect();
+    tuningSelect.value = name;
+    closeTuningEditor();
+  });
+
+  tuningCancel.addEventListener('click', (e) => { e.preventDefault(); closeTuningEditor(); });
+  tuningClose.addEventListener('click', (e) => { e.preventDefault(); closeTuningEditor(); });
+  const tuningBackdrop = tuningModal.querySelector('.modalBackdrop');
+  if (tuningBackdrop) tuningBackdrop.addEventListener('click', (e) => { e.preventDefault(); closeTuningEditor(); });
+
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || tuningModal.hidden) return;
+    e.preventDefault();
+    closeTuningEditor();
+  });
+
+  attachUiTip(tuningEditBtn, 'Create a tuning by setting each string\'s open note and octave.');
+}
+
+// -------------------------
+// ASCII export options
+// -------------------------
+const asciiModal = document.getElementById('asciiModal');
+const asciiClose = document.getElementById('asciiClose');
+const asciiWidth = document.getElementById('asciiWidth');
+const asciiAbove = document.getElementById('asciiAbove');
+const asciiBreakBars = document.getElementById('asciiBreakBars');
+const asciiRepeatLabels = document.getElementById('asciiRepeatLabels');
+const asciiMarkers = document.getElementById('asciiMarkers');
+const asciiCancel = document.getElementById('asciiCancel');
+const asciiExport = document.getElementById('asciiExport');
+
+function downloadAscii(opts) {
+  const ascii = exportAscii(opts);
+  const name = (doc.meta.title || 'untitled').replace(/[^a-z0-9_-]+/gi, '_');
+  downloadText(`${name}.txt`, ascii, 'text/plain');
+}
+
+function openAsciiExport() {
+  const o = loadAsciiExportOptions();
+  // With the chord lane showing, the export carries it as a chord line unless asked otherwise.
+  if (doc.view.chordsMode === 'lane' && o.above === 'none') o.above = 'chords';
+  if (!asciiModal) { downloadAscii(o); return; }
+  asciiWidth.value = String(o.maxWidth || 0);
+  asciiAbove.value = o.above;
+  asciiBreakBars.checked = !!o.breakAtDividers;
+  asciiRepeatLabels.checked = !!o.repeatLabels;
+  asciiMarkers.checked = !!o.markerHeaders;
+  asciiModal.hidden = false;
+  asciiModal.setAttribute('aria-hidden', 'false');
+  asciiWidth.focus();
+}
+
+function closeAsciiExport() {
+  if (!asciiModal) return;
+  asciiModal.hidden = true;
+  asciiModal.setAttribute('aria-hidden', 'true');
+  if (exportBtn) exportBtn.focus();
+}
+
+if (asciiModal) {
+  asciiExport.addEventListener('click', () => {
+    const opts = {
+      maxWidth: clamp(parseInt(asciiWidth.value, 10) || 0, 0, 400),
+      breakAtDividers: asciiBreakBars.checked,
+      repeatLabels: asciiRepeatLabels.checked,
+      markerHeaders: asciiMarkers.checked,
+      above: asciiAbove.value,
+    };
+    saveAsciiExportOptions(opts);
+    downloadAscii(opts);
+    closeAsciiExport();
+  });
+
+  asciiCancel.addEventListener('click', (e) => { e.preventDefault(); closeAsciiExport(); });
+  asciiClose.addEventListener('click', (e) => { e.preventDefault(); closeAsciiExport(); });
+  const asciiBackdrop = asciiModal.querySelector('.modalBackdrop');
+  if (asciiBackdrop) asciiBackdrop.addEventListener('click', (e) => { e.preventDefault(); closeAsciiExport(); });
+
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || asciiModal.hidden) return;
+    e.preventDefault();
+    closeAsciiExport();
+  });
+}
+
+// -------------------------
+// Transpose dialog
+// -------------------------
+const transposeBtn = document.getElementById('transposeBtn');
+const transposeModal = document.getElementById('transposeModal');
+const transposeClose = document.getElementById('transposeClose');
+const transposeMode = document.getElementById('transposeMode');
+const transposeAmount = document.getElementById('transposeAmount');
+const transposeAmountLbl = document.getElementById('transposeAmountLbl');
+const transposeHint = document.getElementById('transposeHint');
+const transposeScope = document.getElementById('transposeScope');
+const transposeCancel = document.getElementById('transposeCancel');
+const transposeApply = document.getElementById('transposeApply');
+
+function syncTransposeForm() {
+  // Capo changes always cover the whole song (the capo is song-wide).
+  const mode = transposeMode.value;
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  transposeAmount.disabled = mode === 'capoOpen';
+  transposeScope.disabled = mode !== 'notes' || !colSel;
+  if (mode !== 'notes' || !colSel) transposeScope.value = 'song';
+  if (mode === 'notes') {
+    transposeAmountLbl.textContent = 'Semitones';
+    transposeAmount.min = '-24';
+    transposeAmount.max = '24';
+    transposeHint.textContent = 'up (+) or down (-)';
+  } else {
+    transposeAmountLbl.textContent = 'Capo fret';
+    transposeAmount.min = '0';
+    transposeAmount.max = '12';
+    if (mode === 'capoOpen') transposeAmount.value = '0';
+    transposeHint.textContent = capo > 0 ? `now ${capo}; notes keep their pitch` : 'notes keep their pitch';
+  }
+}
+
+function openTranspose() {
+  if (!transposeModal) return;
+  commitDigitBuffer();
+  transposeMode.value = 'notes';
+  transposeAmount.value = '0';
+  transposeScope.value = colSel ? 'selection' : 'song';
+  syncTransposeForm();
+  transposeModal.hidden = false;
+  transposeModal.setAttribute('aria-hidden', 'false');
+  transposeAmount.focus();
+  transposeAmount.select();
+}
+
+function closeTranspose() {
+  if (!transposeModal) return;
+  transposeModal.hidden = true;
+  transposeModal.setAttribute('aria-hidden', 'true');
+  if (transposeBtn) transposeBtn.focus();
+}
+
+function applyTranspose() {
+  const mode = transposeMode.value;
+  const amount = parseInt(transposeAmount.value, 10) || 0;
+  let unplaced;
+  if (mode === 'notes') {
+    if (!amount) { closeTranspose(); return; }
+    const sel = transposeScope.value === 'selection' && colSel;
+    const start = sel ? Math.min(colSel.startCol, colSel.endCol) : 0;
+    const end = sel ? Math.max(colSel.startCol, colSel.endCol) : doc.columns.length - 1;
+    pushHistory();
+    unplaced = transposeRange(start, end, clamp(amount, -24, 24));
+  } else {
+    pushHistory();
+    unplaced = setCapoKeepPitches(mode === 'capoOpen' ? 0 : clamp(amount, 0, 12));
+    capoInput.value = String(doc.capo.fret);
+  }
+  closeTranspose();
+  render();
+  if (unplaced.length) alert(unplacedReport(unplaced));
+}
+
+if (transposeModal) {
+  transposeBtn.addEventListener('click', openTranspose);
+  transposeMode.addEventListener('change', syncTransposeForm);
+  transposeApply.addEventListener('click', applyTranspose);
+  transposeAmount.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    applyTranspose();
+  });
+  transposeCancel.addEventListener('click', (e) => { e.preventDefault(); closeTranspose(); });
+  transposeClose.addEventListener('click', (e) => { e.preventDefault(); closeTranspose(); });
+  const transposeBackdrop = transposeModal.querySelector('.modalBackdrop');
+  if (transposeBackdrop) transposeBackdrop.addEventListener('click', (e) => { e.preventDefault(); closeTranspose(); });
+
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || transposeModal.hidden) return;
+    e.preventDefault();
+    closeTranspose();
+  });
+  attachUiTip(transposeBtn, 'Transpose the selection or the whole song, or move the capo while keeping every pitch.');
+}
+
+// -------------------------
+// Chord library dialog
+// -------------------------
+const chordLibBtn = document.getElementById('chordLibBtn');
+const chordLibModal = document.getElementById('chordLibModal');
+const chordLibClose = document.getElementById('chordLibClose');
+const chordLibSearch = document.getElementById('chordLibSearch');
+const chordLibList = document.getElementById('chordLibList');
+const chordLibHint = document.getElementById('chordLibHint');
+const chordLibSave = document.getElementById('chordLibSave');
+const chordLibCancel = document.getElementById('chordLibCancel');
+const chordLibInsert = document.getElementById('chordLibInsert');
+let chordLibItems = []; // voicings listed, in order
+let chordLibActive = 0;
+let chordLibSearchTimer = null; // pending list refresh while typing
+
+function renderChordLibList() {
+  // Your own voicings whose name starts with the query, then generated ones for the chord.
+  const q = chordLibSearch.value.trim();
+  const own = userVoicingsForTuning().filter(v => v.name.toLowerCase().startsWith(q.toLowerCase()));
+  const chord = parseChordName(q);
+  const shapes = new Set(own.map(v => v.frets.join()));
+  const generated = chord ? generateChordVoicings(chord).filter(v => !shapes.has(v.frets.join())) : [];
+  chordLibItems = [...own, ...generated];
+  chordLibActive = clamp(chordLibActive, 0, Math.max(0, chordLibItems.length - 1));
+
+  chordLibList.textContent = '';
+  chordLibItems.forEach((v, i) => {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'btn chordLibItem' + (i === chordLibActive ? ' active' : '');
+    b.setAttribute('role', 'option');
+    b.setAttribute('aria-selected', i === chordLibActive ? 'true' : 'false');
+    const shape = document.createElement('span');
+    shape.className = 'mono';
+    shape.textContent = voicingText(v.frets);
+    const name = document.createElement('span');
+    name.className = 'small muted';
+    name.textContent = v.pitches ? `${v.name} · yours` : v.name;
+    b.append(shape, name);
+    if (v.pitches) {
+      const del = document.createElement('span');
+      del.className = 'iconBtn';
+      del.textContent = '✕';
+      del.title = 'Remove from your library (songs that use it keep it)';
+      del.addEventListener('click', (e) => {
+        e.stopPropagation();
+        deleteUserVoicing(v);
+        renderChordLibList();
+      });
+      b.appendChild(del);
+    }
+    b.addEventListener('click', () => insertChordLibItem(i));
+    chordLibList.appendChild(b);
+  });
+
+  const capo = clamp(parseInt(doc.capo.fret || 0, 10) || 0, 0, 12);
+  if (!q) chordLibHint.textContent = 'Type a chord name to see voicings for this tuning.';
+  else if (!chord && !own.length) chordLibHint.textContent = `"${q}" is not a chord name Tabd knows.`;
+  else if (chord && !generated.length && !own.length) chordLibHint.textContent = 'No playable voicing on this tuning.';
+  else chordLibHint.textContent = `Low string first · ${doc.instrument.tuningName}${capo ? `, capo ${capo}` : ''} · Enter inserts the highlighted voicing.`;
+}
+
+function insertChordLibItem(i) {
+  const v = chordLibItems[i];
+  if (!v) return;
+  closeChordLibrary();
+  applyVoicing(v);
+}
+
+function openChordLibrary() {
+  if (!chordLibModal) return;
+  commitDigitBuffer();
+  chordLibSearch.value = '';
+  chordLibActive = 0;
+  renderChordLibList();
+  chordLibModal.hidden = false;
+  chordLibModal.setAttribute('aria-hidden', 'false');
+  chordLibSearch.focus();
+}
+
+function refreshChordLibSearch() {
+  if (chordLibSearchTimer) {
+    clearTimeout(chordLibSearchTimer);
+    chordLibSearchTimer = null;
+  }
+  chordLibActive = 0;
+  renderChordLibList();
+}
+
+function scheduleChordLibSearch() {
+  // Voicings are worked out for every query, so the list waits for a pause in typing.
+  if (chordLibSearchTimer) clearTimeout(chordLibSearchTimer);
+  chordLibSearchTimer = setTimeout(refreshChordLibSearch, 150);
+}
+
+function closeChordLibrary() {
+  if (!chordLibModal) return;
+  if (chordLibSearchTimer) {
+    clearTimeout(chordLibSearchTimer);
+    chordLibSearchTimer = null;
+  }
+  chordLibModal.hidden = true;
+  chordLibModal.setAttribute('aria-hidden', 'true');
+}
+
+function saveColumnAsVoicing() {
+  // Only plain frets make a voicing; techniques belong to the performance, not the shape.
+  const col = doc.columns[cursor.col];
+  const frets = doc.instrument.strings.map((_, r) => {
+    const tok = cellToken(col, r);
+    return /^\d+$/.test(tok) ? parseInt(tok, 10) : (tok ? NaN : null);
+  });
+  if (!col || col.divider || frets.every(f => f == null)) { alert('Put the chord in the cursor column first.'); return; }
+  if (frets.some(f => Number.isNaN(f))) { alert('Only plain fret numbers can be saved as a voicing.'); return; }
+  const name = prompt('Name this voicing', columnChord(cursor.col) || '');
+  if (name === null || !name.trim()) return;
+  saveUserVoicing({ name: name.trim(), frets, pitches: [...doc.instrument.pitches] });
+  chordLibSearch.value = name.trim();
+  chordLibActive = 0;
+  renderChordLibList();
+  chordLibSearch.focus();
+}
+
+if (chordLibModal) {
+  chordLibBtn.addEventListener('click', openChordLibrary);
+  chordLibSearch.addEventListener('input', scheduleChordLibSearch);
+  chordLibSearch.addEventListener('keydown', (e) => {
+    // Keys that act on the list catch it up with the query first.
+    if (chordLibSearchTimer && ['ArrowDown', 'ArrowUp', 'Enter'].includes(e.key)) refreshChordLibSearch();
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      chordLibActive = clamp(chordLibActive + (e.key === 'ArrowDown' ? 1 : -1), 0, Math.max(0, chordLibItems.length - 1));
+      renderChordLibList();
+      const active = chordLibList.children[chordLibActive];
+      if (active) active.scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      insertChordLibItem(chordLibActive);
+    }
+  });
+  chordLibInsert.addEventListener('click', () => {
+    if (chordLibSearchTimer) refreshChordLibSearch();
+    insertChordLibItem(chordLibActive);
+  });
+  chordLibSave.addEventListener('click', saveColumnAsVoicing);
+  chordLibCancel.addEventListener('click', (e) => { e.preventDefault(); closeChordLibrary(); });
+  chordLibClose.addEventListener('click', (e) => { e.preventDefault(); closeChordLibrary(); });
+  const chordLibBackdrop = chordLibModal.querySelector('.modalBackdrop');
+  if (chordLibBackdrop) chordLibBackdrop.addEventListener('click', (e) => { e.preventDefault(); closeChordLibrary(); });
+
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || chordLibModal.hidden) return;
+    e.preventDefault();
+    closeChordLibrary();
+  });
+  attachUiTip(chordLibBtn, 'Find voicings for a chord name on this tuning and fill the cursor column with one (L).');
+}
+
 let initialTheme = APP_THEME_DEFAULT;
 try {
   const saved = localStorage.getItem(LS_THEME);
@@ -2007,6 +6819,7 @@ try {
 } catch (_) {}
 applyTheme(initialTheme, false);
 
+populateInstrumentSelect();
 populateTuningSelect();
 syncControlsFromDoc();
 updateModeBadge();
@@ -0,0 +1,83 @@
+// Guitar Pro import: one small file per container format.
+//
+//   node tests/guitar-pro.test.js
+//
+// tests/fixtures/song.gp3 and song.gp5 hold the same two-track song (Guitar Pro 3 and 5 binary);
+// song.gpx (GP6, BCFZ-compressed) and song.gp (GP7, zip) hold a Drop D song whose .gp copy puts a
+// two-staff drum track first. Only the first guitar track is imported.
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { loadApp } = require('./load-app');
+const { DOMParser } = require('./xml-dom');
+
+const MY_SONG = {
+  title: 'My Song',
+  pitches: ['E4', 'B3', 'G3', 'D3', 'A2', 'E2'],
+  capo: 2,
+  tempo: 132,
+  bars: 4,
+  timeSig: '4/4',
+  markers: [['Intro', 0, undefined], ['Bar 2', 6, '3/4']],
+};
+
+const SEVEN_SONG = {
+  title: 'Seven Song',
+  pitches: ['E4', 'B3', 'G3', 'D3', 'A2', 'D2'],
+  capo: 3,
+  tempo: 96,
+  bars: 2,
+  timeSig: '4/4',
+  markers: [['Verse', 0, undefined], ['Bar 2', 4, '6/8']],
+};
+
+const CASES = [
+  // [file, song, cells that must be imported as "column:row token"]
+  ['song.gp3', MY_SONG, ['0:4 3', '1:3 5h', '3:0 7b9', '4:2 5\\', '7:2 7p', '8:2 (5)', '10:4 3t', '10:5 x', '14:1 10/']],
+  ['song.gp5', MY_SONG, ['1:3 5h', '3:0 7b9~', '4:2 5\\', '7:2 7p', '8:2 (5)', '10:4 3t', '10:5 x', '14:1 /10', '15:1 12\\']],
+  ['song.gpx', SEVEN_SONG, ['0:0 3b5~', '0:5 0', '1:3 5h', '2:3 (7)', '5:3 x']],
+  ['song.gp', SEVEN_SONG, ['0:0 3b5~', '0:5 0', '1:3 5h', '2:3 (7)', '5:3 x']],
+];
+
+function cells(app, doc) {
+  const out = [];
+  doc.columns.forEach((col, c) => col.notes.forEach((note, r) => { if (note) out.push(`${c}:${r} ${app.formatNote(note)}`); }));
+  return out;
+}
+
+async function check(app, file, song, expected) {
+  const bytes = new Uint8Array(fs.readFileSync(path.join(__dirname, 'fixtures', file)));
+  const doc = await app.importGuitarPro(bytes, file);
+  assert.strictEqual(doc.meta.title, song.title, `${file} title`);
+  assert.deepStrictEqual(Array.from(doc.instrument.pitches), song.pitches, `${file} tuning`);
+  assert.strictEqual(doc.capo.fret, song.capo, `${file} capo`);
+  assert.strictEqual(doc.rhythm.tempo, song.tempo, `${file} tempo`);
+  assert.strictEqual(doc.columns.filter(c => c.divider).length + 1, song.bars, `${file} bar count`);
+  assert.strictEqual(doc.rhythm.timeSig, song.timeSig, `${file} time signature`);
+  assert.deepStrictEqual(Array.from(doc.markers, m => [m.name, m.col, m.timeSig]), song.markers, `${file} markers`);
+  const got = cells(app, doc);
+  const missing = expected.filter(cell => !got.includes(cell));
+  assert.deepStrictEqual(missing, [], `${file} notes: got ${got.join(', ')}`);
+}
+
+(async () => {
+  try {
+    const app = loadApp(['formatNote', 'importGuitarPro'], {
+      DOMParser,
+      Blob,
+      Response,
+      DecompressionStream,
+      prompt: () => '1', // first guitar track
+    });
+    for (const [file, song, expected] of CASES) {
+      await check(app, file, song, expected);
+      console.log(`ok - ${file} imports its tuning, capo, bars, time signatures and techniques`);
+    }
+  } catch (err) {
+    console.error(`not ok - ${err.message}`);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,75 @@
+// Loads app.js in Node for the tests: the page is replaced by stubs that accept anything, and the
+// named top-level bindings (functions and `let` state such as `doc`) are handed back as getters.
+//
+//   const app = loadApp(['doc', 'exportMusicXml']);
+//   app.doc.columns = [...];
+//
+// `globals` replaces entries of the page's global scope; domStub() builds a stand-in to extend,
+// e.g. a window that also has an OfflineAudioContext.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function domStub() {
+  // Any property is another stub and any call returns one, which is all app.js needs at load time.
+  const store = {};
+  return new Proxy(function () {}, {
+    get(_, key) {
+      if (key in store) return store[key];
+      if (key === Symbol.iterator) return function* () {};
+      if (key === Symbol.toPrimitive) return (hint) => (hint === 'number' ? 0 : '');
+      if (key === 'then') return undefined;
+      if (key === 'length') return 0;
+      if (key === 'value') return '';
+      if (key === 'hidden') return true;
+      if (key === 'style' || key === 'dataset') return (store[key] = {});
+      if (['width', 'height', 'clientWidth', 'offsetWidth', 'offsetHeight'].includes(key)) return 100;
+      return (store[key] = domStub());
+    },
+    set(_, key, value) { store[key] = value; return true; },
+    apply() { return domStub(); },
+    construct() { return domStub(); },
+  });
+}
+
+function loadApp(names, globals = {}) {
+  const elements = {};
+  const document = domStub();
+  document.getElementById = (id) => {
+    if (!elements[id]) {
+      elements[id] = domStub();
+      if (id === 'instrumentSelect') elements[id].value = 'guitar';
+    }
+    return elements[id];
+  };
+  const storage = {};
+  const context = {
+    console, setTimeout, clearTimeout, TextEncoder, TextDecoder,
+    document,
+    window: domStub(),
+    localStorage: {
+      getItem: (k) => storage[k] ?? null,
+      setItem: (k, v) => { storage[k] = String(v); },
+      removeItem: (k) => { delete storage[k]; },
+    },
+    getComputedStyle: () => ({ getPropertyValue: () => '#000' }),
+    performance: { now: () => Date.now() },
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame: () => {},
+    URL: domStub(),
+    Blob: function Blob() {},
+    alert: () => {}, confirm: () => true, prompt: () => null,
+    ...globals,
+  };
+  context.globalThis = context;
+  vm.createContext(context);
+  const src = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+  const expose = `globalThis.__app = { ${names.map(n => `get ${n}() { return ${n}; }`).join(', ')} };`;
+  vm.runInContext(`${src}\n;\n${expose}`, context, { filename: 'app.js' });
+  return context.__app;
+}
+
+module.exports = { loadApp, domStub };
@@ -0,0 +1,112 @@
+// MusicXML export must validate against the MusicXML 4.0 schema.
+//
+//   node tests/musicxml-schema.test.js
+//
+// The schema check needs xmllint (libxml2) and the MusicXML 4.0 musicxml.xsd with the xml.xsd and
+// xlink.xsd it imports, in tests/schema/ or in the folder named by MUSICXML_SCHEMA_DIR (they are
+// in the schema/ folder of https://github.com/w3c/musicxml, tag v4.0). Nothing is downloaded:
+// without them the export's content is still checked and the schema step is skipped with a note.
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadApp } = require('./load-app');
+
+const SCHEMA_FILES = ['musicxml.xsd', 'xml.xsd', 'xlink.xsd'];
+
+function buildSong(app) {
+  // Techniques on a capo part, then a 3/4 section after a divider, then a measure of note marks.
+  const { doc, toNote } = app;
+  const col = (notes, dur) => ({ notes: notes.map(toNote), strum: '', dur });
+  doc.capo.fret = 2;
+  doc.columns = [
+    col(['0', '1', '0', '2', '3', null], 'Q'),
+    col([null, null, null, '5h7'], 'E'),
+    col(['7b9', null, '5/7'], 'E'),
+    col([null, '3p0'], 'H'),
+    { notes: [], strum: '', divider: true },
+    col([null, null, '7\\5'], 'H.'),
+    { notes: [], strum: '', divider: true },
+    col(['5', '<12>', '5m', '7^', '3~', null], 'Q'),
+    col(['5t', '<7>', '(5)', '7.', '3l', '7b9p7'], 'H'),
+  ];
+  doc.markers = [
+    { id: 1, name: 'Intro', col: 0 },
+    { id: 2, name: 'Verse & "B"', col: 4, timeSig: '3/4' },
+  ];
+}
+
+function checkContent(xml) {
+  assert.match(xml, /<hammer-on number="1" type="start">H<\/hammer-on>/);
+  assert.match(xml, /<pull-off number="1" type="stop"\/>/);
+  assert.match(xml, /<slide number="1" type="start"\/>/);
+  assert.match(xml, /<bend><bend-alter>2<\/bend-alter><\/bend>/);
+  assert.match(xml, /<bend><bend-alter>2<\/bend-alter><release\/><\/bend>/);
+  assert.match(xml, /<capo>2<\/capo>/);
+  assert.match(xml, /<rehearsal>Verse &amp; &quot;B&quot;<\/rehearsal>/);
+  assert.match(xml, /<measure number="2">\s*<attributes><time><beats>3<\/beats><beat-type>4<\/beat-type><\/time><\/attributes>/);
+  assert.match(xml, /<tie type="start"\/>.*<tied type="start"\/>/);
+  assert.match(xml, /<tie type="stop"\/>.*<tied type="stop"\/>/);
+  assert.match(xml, /<notehead parentheses="yes">normal<\/notehead>/);
+  assert.match(xml, /<notehead>diamond<\/notehead>.*<harmonic><natural\/><\/harmonic>/);
+  assert.match(xml, /<play><mute>palm<\/mute><\/play>/);
+  assert.match(xml, /<articulations><accent\/><\/articulations>/);
+  assert.match(xml, /<articulations><staccato\/><\/articulations>/);
+  assert.match(xml, /<other-technical>vibrato<\/other-technical>/);
+  assert.match(xml, /<other-technical>let ring<\/other-technical>/);
+}
+
+function schemaMissing(dir) {
+  // Why the schema step can't run here, or null.
+  const absent = SCHEMA_FILES.filter(name => !fs.existsSync(path.join(dir, name)));
+  if (absent.length) return `${absent.join(', ')} not found in ${dir}`;
+  try {
+    execFileSync('xmllint', ['--version'], { stdio: 'pipe' });
+  } catch (_) {
+    return 'xmllint is not installed';
+  }
+  return null;
+}
+
+function validate(xml, dir) {
+  // musicxml.xsd imports xml.xsd and xlink.xsd by URL; point those imports at the files beside it
+  // so xmllint runs with --nonet.
+  const xsd = fs.readFileSync(path.join(dir, 'musicxml.xsd'), 'utf8')
+    .replace(/schemaLocation="[^"]*?\b(xml|xlink)\.xsd"/g, (_, name) => `schemaLocation="${path.join(dir, name + '.xsd')}"`);
+  const xsdFile = path.join(os.tmpdir(), `tabd-musicxml-${process.pid}.xsd`);
+  const xmlFile = path.join(os.tmpdir(), `tabd-musicxml-${process.pid}.musicxml`);
+  fs.writeFileSync(xsdFile, xsd);
+  fs.writeFileSync(xmlFile, xml);
+  try {
+    execFileSync('xmllint', ['--noout', '--nonet', '--schema', xsdFile, xmlFile], { stdio: 'pipe' });
+  } catch (err) {
+    throw new Error(`MusicXML export does not validate:\n${err.stderr || err.message}`);
+  } finally {
+    fs.rmSync(xsdFile, { force: true });
+    fs.rmSync(xmlFile, { force: true });
+  }
+}
+
+try {
+  const app = loadApp(['doc', 'exportMusicXml', 'toNote']);
+  buildSong(app);
+  const xml = app.exportMusicXml();
+  checkContent(xml);
+  console.log('ok - MusicXML export carries the techniques, note marks, capo, markers and time signatures');
+
+  const dir = path.resolve(process.env.MUSICXML_SCHEMA_DIR || path.join(__dirname, 'schema'));
+  const missing = schemaMissing(dir);
+  if (missing) {
+    console.log(`skip - schema validation: ${missing}`);
+  } else {
+    validate(xml, dir);
+    console.log('ok - MusicXML export validates against the MusicXML 4.0 schema');
+  }
+} catch (err) {
+  console.error(`not ok - ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,126 @@
+// Playback schedule and offline render, headless.
+//
+//   node tests/playback.test.js
+//
+// The browser's OfflineAudioContext is replaced by a small mixer that sums each scheduled buffer
+// into the output, so the render path runs exactly as in the page.
+
+'use strict';
+
+const assert = require('assert');
+const { loadApp, domStub } = require('./load-app');
+
+const SAMPLE_RATE = 8000;
+
+class FakeOfflineAudioContext {
+  constructor(channels, length, sampleRate) {
+    this.length = length;
+    this.sampleRate = sampleRate;
+    this.destination = {};
+    this.sources = [];
+  }
+  createGain() {
+    return { gain: { value: 1 }, connect() {} };
+  }
+  createBuffer(channels, length, sampleRate) {
+    const data = new Float32Array(length);
+    return { length, sampleRate, data, copyToChannel(src) { data.set(src); }, getChannelData: () => data };
+  }
+  createBufferSource() {
+    const src = { buffer: null, when: null, connect() {}, start(when) { src.when = when; } };
+    this.sources.push(src);
+    return src;
+  }
+  startRendering() {
+    const out = this.createBuffer(1, this.length, this.sampleRate);
+    this.sources.forEach(({ buffer, when }) => {
+      const at = Math.round(when * this.sampleRate);
+      for (let i = 0; i < buffer.length && at + i < this.length; i++) out.data[at + i] += buffer.data[i];
+    });
+    return Promise.resolve(out);
+  }
+}
+
+function near(actual, expected, what) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${what}: expected ${expected}, got ${actual}`);
+}
+
+function buildSong(app) {
+  // Standard tuning, capo 2, 120 bpm: a quarter lasts 0.5 s. Row 5 is the low E string.
+  const { doc, toNote } = app;
+  const notes = (cells) => cells.map(c => (c == null ? null : toNote(c)));
+  doc.capo.fret = 2;
+  doc.rhythm.tempo = 120;
+  doc.columns = [
+    { notes: notes([null, null, null, null, null, '3']), strum: '', dur: 'Q' },
+    { notes: notes([null, null, null, null, null, '5h7']), strum: '', dur: 'E' },
+    { notes: notes(['0', null, null, null, null, '0']), strum: '↑', dur: 'Q' },
+    { notes: [], strum: '', divider: true },
+    { notes: notes([null, null, null, null, null, '0t']), strum: '', dur: 'Q' },
+  ];
+}
+
+function checkSchedule(app) {
+  const { notes, cols, length } = app.buildPlaybackSchedule(0, app.doc.columns.length - 1);
+  const summary = Array.from(notes, n => [n.col, n.row, n.midi]);
+  // Capo 2 raises every pitch two semitones; 5h7 plays both frets; the tied open E is not replayed.
+  assert.deepStrictEqual(summary, [[0, 5, 45], [1, 5, 47], [1, 5, 49], [2, 0, 66], [2, 5, 42]]);
+
+  assert.deepStrictEqual(Array.from(cols, c => c.col), [0, 1, 2, 4], 'dividers take no time');
+  [0, 0.5, 0.75, 1.25].forEach((time, i) => near(cols[i].time, time, `column ${cols[i].col} time`));
+  near(length, 1.75 + 2.5, 'length');
+
+  const [low3, h5, h7, high0, low0] = notes;
+  near(low3.time, 0, '3 onset');
+  near(h5.time, 0.5, '5h7 first onset');
+  near(h7.time, 0.625, '5h7 second onset');
+  near(h5.dur, 0.125, '5h7 first step');
+  // An up strum plays high to low: the high string first, the low one five staggers later.
+  near(high0.time, 0.75, 'up strum high string');
+  near(low0.time, 0.75 + 5 * 0.012, 'up strum low string');
+  // Each new note on the low string stops the one before; the tied last note lets it ring on.
+  near(low3.dur, 0.5, '3 cut by 5h7');
+  near(h7.dur, low0.time - h7.time, '7 cut by the open string');
+  near(low0.dur, 2.5, 'open string rings through the tie');
+}
+
+function dominantPeriod(data, from, to) {
+  // Lag with the strongest autocorrelation, in samples.
+  let best = from;
+  let bestScore = -Infinity;
+  for (let lag = from; lag <= to; lag++) {
+    let score = 0;
+    for (let i = 0; i + lag < data.length; i++) score += data[i] * data[i + lag];
+    if (score > bestScore) { bestScore = score; best = lag; }
+  }
+  return best;
+}
+
+async function checkRender(app) {
+  const { buffer, schedule } = await app.renderPlaybackOffline(0, 0, SAMPLE_RATE);
+  assert.strictEqual(buffer.length, Math.ceil(schedule.length * SAMPLE_RATE));
+  const data = buffer.getChannelData(0);
+  // The low-string 3 alone (A2, 110 Hz) sounds from the start and rings for RING_SECONDS.
+  const note = data.subarray(0, SAMPLE_RATE / 2);
+  assert.ok(note.some(v => Math.abs(v) > 0.05), 'the note is audible');
+  assert.ok(data.subarray(2.5 * SAMPLE_RATE).every(v => v === 0), 'the note stops after ringing');
+  const period = dominantPeriod(note, 40, 120);
+  assert.ok(Math.abs(period - SAMPLE_RATE / 110) <= 1, `A2 period: expected ~${(SAMPLE_RATE / 110).toFixed(1)}, got ${period}`);
+}
+
+(async () => {
+  try {
+    const window = domStub();
+    window.OfflineAudioContext = FakeOfflineAudioContext;
+    const app = loadApp(['doc', 'toNote', 'buildPlaybackSchedule', 'renderPlaybackOffline'], { window });
+    buildSong(app);
+    checkSchedule(app);
+    console.log('ok - playback schedule follows tempo, capo, compound notes, strums, ties and string cut-offs');
+
+    await checkRender(app);
+    console.log('ok - offline render mixes the scheduled notes at the right pitch');
+  } catch (err) {
+    console.error(`not ok - ${err.message}`);
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,52 @@
+// Node has no DOMParser. This one reads well-formed XML into elements with the little readGpif()
+// uses: tagName, children, getAttribute(), textContent and getElementsByTagName('parsererror').
+
+'use strict';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (all, name) => {
+    if (name[0] !== '#') return ENTITIES[name] ?? all;
+    return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+  });
+}
+
+function element(tagName, attrText) {
+  const attrs = {};
+  attrText.replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (_, k, dq, sq) => { attrs[k] = decode(dq ?? sq); });
+  const parts = []; // text and child elements in document order
+  return {
+    tagName,
+    children: [],
+    parts,
+    getAttribute: (name) => (name in attrs ? attrs[name] : null),
+    get textContent() { return parts.map(p => (typeof p === 'string' ? p : p.textContent)).join(''); },
+  };
+}
+
+class DOMParser {
+  parseFromString(src) {
+    const root = element('#document', '');
+    const stack = [root];
+    const token = /<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gi;
+    let m;
+    while ((m = token.exec(src))) {
+      const top = stack[stack.length - 1];
+      if (m[1] !== undefined) top.parts.push(m[1]);
+      else if (m[2]) {
+        if (top.tagName !== m[2]) throw new Error(`Unexpected </${m[2]}> in <${top.tagName}>`);
+        stack.pop();
+      } else if (m[3]) {
+        const el = element(m[3], m[4] || '');
+        top.children.push(el);
+        top.parts.push(el);
+        if (!m[5]) stack.push(el);
+      } else if (m[6] !== undefined) top.parts.push(decode(m[6]));
+    }
+    if (stack.length !== 1) throw new Error(`Unclosed <${stack[stack.length - 1].tagName}>`);
+    return { documentElement: root.children[0] || null, getElementsByTagName: () => [] };
+  }
+}
+
+module.exports = { DOMParser };